@@ -0,0 +1,199 @@
+const { parseNearby, buildDiscountEventFilters } = require('./discount-events');
+
+// Saved searches and deal alerts.
+//
+//   saved_searches (
+//     id         SERIAL PRIMARY KEY,
+//     user_id    INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+//     name       TEXT NOT NULL,
+//     query      JSONB NOT NULL,   -- GET /api/discount-events parameters, e.g. {"dietary_tags": "halal",
+//                                  --   "lat": "37.534", "lon": "126.994", "radius": "2000", "min_discount": "30"}
+//     created_at TIMESTAMP DEFAULT NOW()
+//   )
+//   alerts (
+//     id              SERIAL PRIMARY KEY,
+//     user_id         INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+//     saved_search_id INT REFERENCES saved_searches(id) ON DELETE SET NULL,
+//     event_id        INT NOT NULL REFERENCES discount_events(id) ON DELETE CASCADE,
+//     read_at         TIMESTAMP,
+//     created_at      TIMESTAMP DEFAULT NOW(),
+//     UNIQUE (user_id, event_id)  -- one alert per deal, however many searches match it
+//   )
+//   CREATE INDEX alerts_unread_idx ON alerts (user_id) WHERE read_at IS NULL;
+//
+// When a discount event is created, every saved search it matches (with the same filter code as
+// the list route) gets an alert in its owner's inbox, which is then handed to each delivery channel.
+// A channel is any object with:
+//   name
+//   deliver(alert) -> Promise   (alert: { id, user_id, saved_search_id, search_name, event })
+// Channels come from ALERT_CHANNELS (comma-separated names from CHANNEL_FACTORIES); the inbox
+// itself always works. Push or email go in CHANNEL_FACTORIES.
+
+const MAX_SAVED_SEARCHES = 20;
+
+// The list-route parameters a saved search may use (status and paging don't apply to new deals)
+const SAVED_SEARCH_PARAMS = [
+  'dietary_tags',
+  'tags_all',
+  'tags_any',
+  'tags_none',
+  'item_category',
+  'store_id',
+  'min_discount',
+  'min_price',
+  'max_price',
+  'crowd_sourced',
+  'lat',
+  'lon',
+  'radius'
+];
+
+// Keep known parameters, as strings like a query string would carry them (arrays joined with ',').
+// Returns { query } or { error }.
+function normalizeSearchQuery(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'query must be an object of search parameters' };
+  }
+
+  const unknown = Object.keys(input).filter((key) => !SAVED_SEARCH_PARAMS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unsupported search parameters: ${unknown.join(', ')}` };
+  }
+
+  const query = {};
+  for (const key of SAVED_SEARCH_PARAMS) {
+    const val = input[key];
+    if (val === undefined || val === null || val === '') continue;
+    query[key] = Array.isArray(val) ? val.join(',') : String(val);
+  }
+  if (Object.keys(query).length === 0) {
+    return { error: 'query needs at least one search parameter' };
+  }
+
+  // Same validation as GET /api/discount-events
+  const nearby = parseNearby(query, []);
+  const filters = buildDiscountEventFilters(query, []);
+  if (nearby.error || filters.error) {
+    return { error: nearby.error || filters.error };
+  }
+  return { query };
+}
+
+// Saved searches matched per query in notifySavedSearches; each contributes about a dozen placeholders
+const MATCH_BATCH_SIZE = 200;
+
+// Which of the saved searches does the event match? Evaluated in SQL with the list route's filters,
+// one UNION ALL query per MATCH_BATCH_SIZE searches. Resolves to a Set of saved search ids.
+async function matchSavedSearches(client, eventId, searches) {
+  const matched = new Set();
+  for (let i = 0; i < searches.length; i += MATCH_BATCH_SIZE) {
+    let values = [eventId];
+    const branches = [];
+    for (const search of searches.slice(i, i + MATCH_BATCH_SIZE)) {
+      // Parameters go into a copy that is kept only if the search is still valid; an unused
+      // placeholder would fail the whole batch ("could not determine data type of parameter")
+      const searchValues = [...values];
+      const nearby = parseNearby(search.query, searchValues);
+      const { conditions, error } = buildDiscountEventFilters(search.query, searchValues);
+      if (nearby.error || error) continue; // saved before a rule changed; never matches
+      values = searchValues;
+
+      if (nearby.near) {
+        conditions.push(...nearby.near.conditions);
+      }
+      values.push(search.id);
+      branches.push(`
+        SELECT $${values.length}::int AS search_id
+        FROM discount_events e
+        ${nearby.near ? 'JOIN stores s ON s.id = e.store_id' : ''}
+        WHERE e.id = $1 AND ${conditions.join(' AND ')}
+      `);
+    }
+    if (branches.length === 0) continue;
+
+    const { rows } = await client.query(branches.join(' UNION ALL '), values);
+    rows.forEach((row) => matched.add(row.search_id));
+  }
+  return matched;
+}
+
+// Write inbox alerts for every saved search the new event matches (except its author's own)
+// and hand each new alert to the channels. Resolves to the number of alerts created.
+async function notifySavedSearches(client, event, channels = []) {
+  const { rows: searches } = await client.query(
+    'SELECT id, user_id, name, query FROM saved_searches WHERE user_id IS DISTINCT FROM $1 ORDER BY id ASC',
+    [event.author_id]
+  );
+
+  // 1) One alert per user, from their oldest matching search
+  const matched = await matchSavedSearches(client, event.id, searches);
+  const byUser = new Map();
+  for (const search of searches) {
+    if (matched.has(search.id) && !byUser.has(search.user_id)) {
+      byUser.set(search.user_id, search);
+    }
+  }
+  if (byUser.size === 0) return 0;
+
+  // 2) Insert them (users who already have an alert for this event are skipped)
+  const picked = [...byUser.values()];
+  const insertSql = `
+    INSERT INTO alerts (user_id, saved_search_id, event_id)
+    SELECT u, s, $3 FROM unnest($1::int[], $2::int[]) AS t(u, s)
+    ON CONFLICT (user_id, event_id) DO NOTHING
+    RETURNING id, user_id, saved_search_id, created_at
+  `;
+  const { rows } = await client.query(insertSql, [
+    picked.map((search) => search.user_id),
+    picked.map((search) => search.id),
+    event.id
+  ]);
+
+  // 3) Deliver
+  for (const row of rows) {
+    const alert = { ...row, search_name: byUser.get(row.user_id).name, event };
+    for (const channel of channels) {
+      try {
+        await channel.deliver(alert);
+      } catch (err) {
+        // A failing channel shouldn't stop the inbox or the other channels
+        console.error(`Alert channel "${channel.name}" failed for alert ${alert.id}:`, err);
+      }
+    }
+  }
+  return rows.length;
+}
+
+// Development channel: log each alert
+function createConsoleChannel() {
+  return {
+    name: 'console',
+    async deliver(alert) {
+      console.log(`Alert ${alert.id} for user ${alert.user_id}: "${alert.search_name}" matched event ${alert.event.id}`);
+    }
+  };
+}
+
+const CHANNEL_FACTORIES = {
+  console: createConsoleChannel
+};
+
+// ALERT_CHANNELS=console -> [consoleChannel]; unset -> [] (inbox only)
+function createAlertChannels() {
+  const names = (process.env.ALERT_CHANNELS || '').split(',').map((n) => n.trim()).filter(Boolean);
+  return names.map((name) => {
+    if (!CHANNEL_FACTORIES[name]) {
+      throw new Error(`Unknown alert channel: ${name}`);
+    }
+    return CHANNEL_FACTORIES[name]();
+  });
+}
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  SAVED_SEARCH_PARAMS,
+  normalizeSearchQuery,
+  matchSavedSearches,
+  notifySavedSearches,
+  createAlertChannels
+};
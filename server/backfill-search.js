@@ -0,0 +1,56 @@
+// One-off backfill of the community search index (see search.js) for posts and comments
+// written before it existed, or after changing how search tokens are made.
+//
+// Usage:
+//   node backfill-search.js [--all]
+//
+// By default only rows missing from post_search / comment_search are indexed; --all re-indexes
+// everything. Uses the same DATABASE_URL as server.js.
+const { Client } = require('pg');
+const { indexPost, indexComment } = require('./search');
+
+async function main() {
+  const all = process.argv.includes('--all');
+
+  const client = new Client({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+      rejectUnauthorized: false
+    }
+  });
+  await client.connect();
+
+  try {
+    // 1) Posts
+    const { rows: posts } = await client.query(`
+      SELECT p.id, p.title, p.content
+      FROM posts p
+      ${all ? '' : 'WHERE NOT EXISTS (SELECT 1 FROM post_search ps WHERE ps.post_id = p.id)'}
+      ORDER BY p.id ASC
+    `);
+    for (const post of posts) {
+      await indexPost(client, post);
+    }
+
+    // 2) Comments ("[deleted]" placeholders stay out of the index)
+    const { rows: comments } = await client.query(`
+      SELECT c.id, c.text
+      FROM comments c
+      WHERE c.deleted_at IS NULL
+        ${all ? '' : 'AND NOT EXISTS (SELECT 1 FROM comment_search cs WHERE cs.comment_id = c.id)'}
+      ORDER BY c.id ASC
+    `);
+    for (const comment of comments) {
+      await indexComment(client, comment);
+    }
+
+    console.log(`Indexed ${posts.length} posts and ${comments.length} comments`);
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('Backfill failed:', err.message);
+  process.exitCode = 1;
+});
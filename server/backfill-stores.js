@@ -0,0 +1,105 @@
+// One-off backfill for stores created before stores had a location and name search keys.
+//
+// Usage:
+//   node backfill-stores.js [--dry-run]
+//
+// Refreshes name_chosung / name_roman (see stores.js) where they are missing or out of date (e.g. after
+// new conventional spellings were added to hangul.js), then geocodes stores without geom.
+// Uses the same DATABASE_URL and geocoder settings (GEOCODER, GEOCODER_FIXTURES) as server.js.
+// Stores whose address matches several locations or none are left alone and listed in the
+// report; fix those with PATCH /api/stores/:id (candidate_index picks among the candidates).
+const { Client } = require('pg');
+const { createGeocoder, pickCandidate } = require('./geocoder');
+const { nameSearchKeys, updateStore } = require('./stores');
+
+const KAKAO_REST_API_KEY = process.env.KAKAO_REST_API_KEY || 'e827a92304992a479b2fa3c6bd3bf5ad';
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  const client = new Client({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+      rejectUnauthorized: false
+    }
+  });
+  await client.connect();
+
+  try {
+    const geocoder = createGeocoder({ client, kakaoApiKey: KAKAO_REST_API_KEY });
+
+    // 1) Name search keys (cheap, no geocoding)
+    const { rows: keyed } = await client.query(
+      'SELECT id, store_name, name_aliases, name_chosung, name_roman FROM stores ORDER BY id ASC'
+    );
+    const unkeyed = keyed.filter((row) => {
+      const [chosung, roman] = nameSearchKeys(row.store_name || '', row.name_aliases || []);
+      return row.name_chosung !== chosung || row.name_roman !== roman;
+    });
+    if (!dryRun) {
+      for (const row of unkeyed) {
+        const [chosung, roman] = nameSearchKeys(row.store_name || '', row.name_aliases || []);
+        await client.query('UPDATE stores SET name_chosung = $1, name_roman = $2 WHERE id = $3', [
+          chosung,
+          roman,
+          row.id
+        ]);
+      }
+    }
+
+    // 2) Stores without a location
+    const { rows } = await client.query(`
+      SELECT id, store_name, address
+      FROM stores
+      WHERE geom IS NULL AND NULLIF(TRIM(address), '') IS NOT NULL
+      ORDER BY id ASC
+    `);
+
+    // 3) Geocode one at a time (Kakao rate limits; results are cached anyway)
+    const report = {
+      dry_run: dryRun,
+      search_keys_filled: unkeyed.length,
+      geocoded: [],
+      ambiguous: [],
+      not_found: [],
+      failed: []
+    };
+    for (const row of rows) {
+      let found;
+      try {
+        found = await geocoder.geocode(row.address);
+      } catch (err) {
+        report.failed.push({ id: row.id, address: row.address, error: err.message });
+        continue;
+      }
+
+      const { candidate, candidates } = pickCandidate(found);
+      if (candidates) {
+        report.ambiguous.push({ id: row.id, address: row.address, candidates });
+        continue;
+      }
+      if (!candidate) {
+        report.not_found.push({ id: row.id, address: row.address });
+        continue;
+      }
+
+      if (!dryRun) {
+        await updateStore(client, row.id, { address: row.address }, candidate);
+      }
+      report.geocoded.push({ id: row.id, store_name: row.store_name, lon: candidate.lon, lat: candidate.lat });
+    }
+
+    console.log(JSON.stringify(report, null, 2));
+    console.log(
+      `Search keys ${report.search_keys_filled}, geocoded ${report.geocoded.length}, ` +
+      `ambiguous ${report.ambiguous.length}, not found ${report.not_found.length}, failed ${report.failed.length}`
+    );
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('Backfill failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,170 @@
+// Threaded comments.
+//
+//   ALTER TABLE comments
+//     ADD COLUMN parent_id  INT REFERENCES comments(id) ON DELETE CASCADE,
+//     ADD COLUMN depth      SMALLINT NOT NULL DEFAULT 0,   -- 0 = top level
+//     ADD COLUMN deleted_at TIMESTAMP;
+//   CREATE INDEX comments_post_parent_idx ON comments (post_id, parent_id, created_at);
+//
+// Comment votes work like post votes (one row per user, counters on the comment; see votes.js):
+//   ALTER TABLE comments
+//     ADD COLUMN upvotes   INT NOT NULL DEFAULT 0,
+//     ADD COLUMN downvotes INT NOT NULL DEFAULT 0;
+//   comment_votes (
+//     user_id    INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+//     comment_id INT NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+//     vote_type  SMALLINT NOT NULL,   -- +1 or -1
+//     PRIMARY KEY (user_id, comment_id)
+//   )
+//
+// Replies nest up to MAX_COMMENT_DEPTH; a reply to a comment at that depth is attached to the
+// same parent instead, so long back-and-forths continue flat rather than failing.
+// Deleting a comment that has replies keeps it as a "[deleted]" placeholder (text and author
+// hidden) so the thread stays intact; placeholders disappear once their last reply is gone.
+
+const MAX_COMMENT_DEPTH = 5;
+const DEFAULT_COLLAPSE_DEPTH = 3;
+const DELETED_PLACEHOLDER = '[deleted]';
+
+// "best" ranks by the lower bound of the Wilson score interval (95%) for the upvote share, so
+// 30 up / 2 down beats 1 up / 0 down, and an unvoted comment scores 0.
+function wilsonScoreSql(up, down) {
+  const n = `(${up} + ${down})::float`;
+  return `CASE WHEN ${up} + ${down} = 0 THEN 0 ELSE (
+      ${up} / ${n} + 1.9208 / ${n}
+      - 1.96 * SQRT(${up} * ${down} / (${n} * ${n} * ${n}) + 0.9604 / (${n} * ${n}))
+    ) / (1 + 3.8416 / ${n}) END`;
+}
+
+// ORDER BY for comment listings (alias c)
+const COMMENT_SORTS = {
+  old: 'c.created_at ASC, c.id ASC',
+  new: 'c.created_at DESC, c.id DESC',
+  best: `${wilsonScoreSql('c.upvotes', 'c.downvotes')} DESC, c.upvotes DESC, c.created_at ASC, c.id ASC`
+};
+
+// Hide a soft-deleted comment's content
+function maskDeleted(row) {
+  if (!row.deleted_at) return row;
+  return { ...row, text: DELETED_PLACEHOLDER, author_id: null, author_name: null, deleted: true };
+}
+
+// A comment id from a request body: a positive integer, or its digits as a string (like the
+// :id routes take it). Returns null for anything else (true, "", " 1 ", 1.5, ...).
+function parseCommentId(val) {
+  if (typeof val === 'number') return Number.isSafeInteger(val) && val > 0 ? val : null;
+  if (typeof val === 'string' && /^\d{1,15}$/.test(val) && Number(val) > 0) return Number(val);
+  return null;
+}
+
+// Where a reply to parentId goes. Resolves to { parentId, depth } or { error }.
+async function resolveParent(client, postId, parentId) {
+  if (parentId === undefined || parentId === null) {
+    return { parentId: null, depth: 0 };
+  }
+
+  const sql = 'SELECT id, post_id, parent_id, depth, deleted_at FROM comments WHERE id = $1';
+  const { rows } = await client.query(sql, [parentId]);
+  if (rows.length === 0 || String(rows[0].post_id) !== String(postId)) {
+    return { error: 'parent_id must be a comment on the same post' };
+  }
+  const parent = rows[0];
+  if (parent.deleted_at) {
+    return { error: 'Cannot reply to a deleted comment' };
+  }
+
+  if (parent.depth >= MAX_COMMENT_DEPTH) {
+    return { parentId: parent.parent_id, depth: parent.depth };
+  }
+  return { parentId: parent.id, depth: parent.depth + 1 };
+}
+
+// Nest flat comment rows into a tree. Replies keep the order of `rows` (see COMMENT_SORTS).
+//   rootId:        only return the subtree under this comment (to expand a collapsed branch)
+//   collapseDepth: replies below this many levels (counted from the returned roots) are left out;
+//                  their parent gets collapsed: true so the client can fetch them with rootId
+// Every node gets reply_count (direct replies) and descendant_count.
+function buildCommentTree(rows, { rootId = null, collapseDepth = DEFAULT_COLLAPSE_DEPTH } = {}) {
+  const nodes = new Map();
+  for (const row of rows) {
+    nodes.set(row.id, { ...maskDeleted(row), replies: [] });
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id !== null ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.replies.push(node);
+    } else if (rootId === null && node.parent_id === null) {
+      roots.push(node);
+    }
+  }
+
+  function finish(node, level) {
+    node.reply_count = node.replies.length;
+    node.descendant_count = node.replies.reduce((sum, reply) => sum + 1 + finish(reply, level + 1), 0);
+    if (level >= collapseDepth && node.replies.length > 0) {
+      node.replies = [];
+      node.collapsed = true;
+    }
+    return node.descendant_count;
+  }
+
+  let result;
+  if (rootId !== null) {
+    const root = nodes.get(rootId);
+    result = root ? root.replies : [];
+  } else {
+    result = roots;
+  }
+  for (const node of result) {
+    finish(node, 1);
+  }
+  return result;
+}
+
+// Delete a comment: soft when it has replies, hard otherwise, along with placeholder ancestors
+// left without replies. One statement, so it needs no transaction. Every part of it sees the
+// comments as they were, so an ancestor qualifies when its only reply is the one being removed
+// below it. Resolves to 'soft' or 'hard'.
+async function deleteComment(client, id) {
+  const sql = `
+    WITH RECURSIVE
+      target AS (
+        SELECT c.id, c.parent_id, EXISTS (SELECT 1 FROM comments r WHERE r.parent_id = c.id) AS has_replies
+        FROM comments c
+        WHERE c.id = $1
+      ),
+      doomed AS (
+        SELECT id, parent_id FROM target WHERE NOT has_replies
+        UNION ALL
+        SELECT p.id, p.parent_id
+        FROM comments p
+        JOIN doomed d ON p.id = d.parent_id
+        WHERE p.deleted_at IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM comments r WHERE r.parent_id = p.id AND r.id <> d.id)
+      ),
+      soft AS (
+        UPDATE comments SET deleted_at = NOW() WHERE id IN (SELECT id FROM target WHERE has_replies)
+      ),
+      hard AS (
+        DELETE FROM comments WHERE id IN (SELECT id FROM doomed)
+      )
+    SELECT COALESCE((SELECT has_replies FROM target), false) AS soft
+  `;
+  const { rows } = await client.query(sql, [id]);
+  return rows[0].soft ? 'soft' : 'hard';
+}
+
+module.exports = {
+  MAX_COMMENT_DEPTH,
+  DEFAULT_COLLAPSE_DEPTH,
+  DELETED_PLACEHOLDER,
+  COMMENT_SORTS,
+  wilsonScoreSql,
+  maskDeleted,
+  parseCommentId,
+  resolveParent,
+  buildCommentTree,
+  deleteComment
+};
@@ -0,0 +1,105 @@
+// Minimal RFC 4180 CSV parsing and writing (quoted fields, "" escapes, CRLF or LF line endings).
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 BOM (Excel likes to add one)
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV: unterminated quoted field');
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => !(r.length === 1 && r[0].trim() === ''));
+}
+
+// Parse CSV text with a header line into an array of objects keyed by header
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((h) => h.trim());
+  return rows.slice(1).map((r) => {
+    const obj = {};
+    header.forEach((key, idx) => {
+      obj[key] = r[idx] !== undefined ? r[idx] : '';
+    });
+    return obj;
+  });
+}
+
+function csvField(val) {
+  if (val === null || val === undefined) return '';
+  let s;
+  if (val instanceof Date) {
+    s = val.toISOString();
+  } else if (Array.isArray(val) && val.every((v) => typeof v !== 'object')) {
+    s = val.join('|'); // e.g. tags: "halal|no_pork"
+  } else if (typeof val === 'object') {
+    s = JSON.stringify(val);
+  } else {
+    s = String(val);
+  }
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Serialize an array of objects to CSV text (CRLF line endings, header first).
+// columns defaults to the keys of the first row.
+function stringifyCsv(rows, columns) {
+  const cols = columns || (rows.length > 0 ? Object.keys(rows[0]) : []);
+  const lines = [cols.map(csvField).join(',')];
+  for (const row of rows) {
+    lines.push(cols.map((col) => csvField(row[col])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  stringifyCsv
+};
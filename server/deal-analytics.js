@@ -0,0 +1,158 @@
+const { EVENT_TIMEZONE } = require('./discount-events');
+
+// Price history and per-store deal analytics.
+//
+// Item identity: the same item at the same store is (store_id, item_key), where item_key is the
+// item name normalized like restaurant names (lower-cased, whitespace/punctuation removed) plus the
+// category, so "Seoul Milk 1L", "seoul milk 1l" and "SeoulMilk-1L" are one item:
+//   ALTER TABLE discount_events ADD COLUMN item_key TEXT GENERATED ALWAYS AS (
+//     lower(regexp_replace(item_name, '[[:space:][:punct:]]+', '', 'g')) || '|' || lower(COALESCE(item_category, ''))
+//   ) STORED;
+//   CREATE INDEX discount_events_item_idx ON discount_events (store_id, item_key, created_at);
+//
+// History includes archived and sold-out events: every markdown we ever saw counts.
+// Time-of-day analytics use discount_start when known (entered in local time), otherwise created_at,
+// which is server time and is converted to EVENT_TIMEZONE first.
+
+const DEFAULT_ANALYTICS_DAYS = 90;
+const MAX_ANALYTICS_DAYS = 365;
+const TOP_CATEGORIES = 10;
+
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']; // ISODOW 1..7
+
+// When a markdown "appeared", in local time (created_at: session time zone -> timestamptz -> local)
+const MARKDOWN_AT_SQL = `COALESCE(e.discount_start, e.created_at::timestamptz AT TIME ZONE '${EVENT_TIMEZONE}')`;
+
+// Items seen at a store, most frequently discounted first
+async function listStoreItems(client, storeId) {
+  const sql = `
+    SELECT
+      e.item_key,
+      (ARRAY_AGG(e.item_name ORDER BY e.created_at DESC))[1] AS item_name,
+      (ARRAY_AGG(e.item_category ORDER BY e.created_at DESC))[1] AS item_category,
+      COUNT(*)::int AS events,
+      MAX(e.created_at) AS last_seen
+    FROM discount_events e
+    WHERE e.store_id = $1
+    GROUP BY e.item_key
+    ORDER BY events DESC, last_seen DESC
+  `;
+  const { rows } = await client.query(sql, [storeId]);
+  return rows;
+}
+
+// Price series for one item at one store, oldest first, with a summary to judge a price against.
+// Resolves to null if the store never had the item.
+async function priceHistory(client, storeId, itemKey) {
+  const seriesSql = `
+    SELECT
+      e.id AS event_id,
+      ${MARKDOWN_AT_SQL} AS markdown_at,
+      e.original_price,
+      e.discount_price,
+      e.discount_percentage,
+      e.item_name
+    FROM discount_events e
+    WHERE e.store_id = $1 AND e.item_key = $2
+    ORDER BY markdown_at ASC, e.id ASC
+  `;
+  const summarySql = `
+    SELECT
+      COUNT(*)::int AS events,
+      MIN(e.discount_price) AS min_discount_price,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY e.discount_price) AS median_discount_price,
+      MAX(e.original_price) AS max_original_price,
+      ROUND(AVG(e.discount_percentage)::numeric, 2) AS avg_discount_percentage
+    FROM discount_events e
+    WHERE e.store_id = $1 AND e.item_key = $2
+  `;
+  const { rows: points } = await client.query(seriesSql, [storeId, itemKey]);
+  if (points.length === 0) return null;
+  const { rows } = await client.query(summarySql, [storeId, itemKey]);
+
+  return {
+    store_id: storeId,
+    item_key: itemKey,
+    item_name: points[points.length - 1].item_name,
+    points: points.map(({ item_name, ...point }) => point),
+    summary: rows[0]
+  };
+}
+
+// Where does this price sit in the history? 0 = cheapest ever seen, 1 = most expensive.
+function pricePercentile(points, price) {
+  const prices = points
+    .filter((p) => p.discount_price !== null && p.discount_price !== undefined)
+    .map((p) => Number(p.discount_price))
+    .filter((p) => !isNaN(p));
+  if (prices.length === 0 || price === null || price === undefined) return null;
+  const cheaper = prices.filter((p) => p < Number(price)).length;
+  return Math.round((cheaper / prices.length) * 100) / 100;
+}
+
+// Store-level markdown patterns over the last `days` days
+async function storeAnalytics(client, storeId, days) {
+  const windowSql = `e.store_id = $1 AND e.created_at >= NOW() - make_interval(days => $2)`;
+
+  const depthSql = `
+    SELECT
+      COUNT(*)::int AS events,
+      ROUND(AVG(e.discount_percentage)::numeric, 2) AS avg_discount_percentage,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY e.discount_percentage) AS median_discount_percentage,
+      percentile_cont(0.9) WITHIN GROUP (ORDER BY e.discount_percentage) AS p90_discount_percentage,
+      MAX(e.discount_percentage) AS max_discount_percentage
+    FROM discount_events e
+    WHERE ${windowSql}
+  `;
+  const weekdaySql = `
+    SELECT d.weekday, COUNT(e.id)::int AS events
+    FROM generate_series(1, 7) AS d(weekday)
+    LEFT JOIN discount_events e
+      ON EXTRACT(ISODOW FROM ${MARKDOWN_AT_SQL}) = d.weekday AND ${windowSql}
+    GROUP BY d.weekday
+    ORDER BY d.weekday
+  `;
+  const hourSql = `
+    SELECT h.hour, COUNT(e.id)::int AS events
+    FROM generate_series(0, 23) AS h(hour)
+    LEFT JOIN discount_events e
+      ON EXTRACT(HOUR FROM ${MARKDOWN_AT_SQL}) = h.hour AND ${windowSql}
+    GROUP BY h.hour
+    ORDER BY h.hour
+  `;
+  const categorySql = `
+    SELECT
+      COALESCE(e.item_category, 'uncategorized') AS item_category,
+      COUNT(*)::int AS events,
+      ROUND(AVG(e.discount_percentage)::numeric, 2) AS avg_discount_percentage
+    FROM discount_events e
+    WHERE ${windowSql}
+    GROUP BY 1
+    ORDER BY events DESC, item_category ASC
+    LIMIT $3
+  `;
+
+  const values = [storeId, days];
+  const depth = await client.query(depthSql, values);
+  const weekdays = await client.query(weekdaySql, values);
+  const hours = await client.query(hourSql, values);
+  const categories = await client.query(categorySql, [...values, TOP_CATEGORIES]);
+
+  return {
+    store_id: storeId,
+    days,
+    discount_depth: depth.rows[0],
+    by_weekday: weekdays.rows.map((r) => ({ ...r, name: WEEKDAY_NAMES[r.weekday - 1] })),
+    by_hour: hours.rows,
+    top_categories: categories.rows
+  };
+}
+
+module.exports = {
+  DEFAULT_ANALYTICS_DAYS,
+  MAX_ANALYTICS_DAYS,
+  listStoreItems,
+  priceHistory,
+  pricePercentile,
+  storeAnalytics
+};
@@ -0,0 +1,535 @@
+const { parseTagList, buildTagConditions } = require('./tags');
+const { isCalendarDate } = require('./opening-hours');
+
+// Discount event lifecycle.
+//
+// Status is computed in SQL from the row, never stored, so it is always current:
+//   expired       -> the deal has ended: discount_end passed, or the day after expiration_date began
+//   reported_gone -> enough reviewers said the deal is gone (see refreshReviewStats)
+//   sold_out      -> quantity is set and has hit 0
+//   upcoming      -> discount_start is still in the future
+//   ending_soon   -> ends within ENDING_SOON_HOURS
+//   active        -> everything else
+// Times are compared in Korean local time, the same way users enter them.
+//
+// Expired events are archived by an in-process job (startArchiveJob), which hides them from
+// GET /api/discount-events; they stay reachable by id.
+//   ALTER TABLE discount_events ADD COLUMN archived_at TIMESTAMP;
+//   CREATE INDEX discount_events_live_idx ON discount_events (created_at DESC) WHERE archived_at IS NULL;
+
+const EVENT_TIMEZONE = 'Asia/Seoul';
+const ENDING_SOON_HOURS = 24;
+
+const DISCOUNT_STATUSES = ['upcoming', 'active', 'ending_soon', 'expired', 'reported_gone', 'sold_out'];
+
+// What the feed shows when no ?status= is given
+const LIVE_STATUSES = ['upcoming', 'active', 'ending_soon'];
+
+// Deals that can be had right now (the "deals near me" default)
+const RUNNING_STATUSES = ['active', 'ending_soon'];
+
+const LOCAL_NOW_SQL = `(NOW() AT TIME ZONE '${EVENT_TIMEZONE}')`;
+
+// When the deal stops: the earlier of discount_end and the end of expiration_date (NULL if neither)
+function endsAtSql(alias = 'e') {
+  return `LEAST(${alias}.discount_end, (${alias}.expiration_date::date + 1)::timestamp)`;
+}
+
+function discountStatusSql(alias = 'e') {
+  const endsAt = endsAtSql(alias);
+  return `CASE
+      WHEN ${endsAt} <= ${LOCAL_NOW_SQL} THEN 'expired'
+      WHEN ${alias}.reported_gone_at IS NOT NULL THEN 'reported_gone'
+      WHEN ${alias}.quantity IS NOT NULL AND ${alias}.quantity <= 0 THEN 'sold_out'
+      WHEN ${alias}.discount_start > ${LOCAL_NOW_SQL} THEN 'upcoming'
+      WHEN ${endsAt} <= ${LOCAL_NOW_SQL} + INTERVAL '${ENDING_SOON_HOURS} hours' THEN 'ending_soon'
+      ELSE 'active'
+    END`;
+}
+
+// "active,ending_soon" -> { statuses } | { error }; "all" means no status filter
+function parseStatusFilter(val) {
+  if (val === undefined || val === '') return { statuses: LIVE_STATUSES };
+  if (val === 'all') return { statuses: null };
+
+  const statuses = String(val).split(',').map((s) => s.trim().replace(/-/g, '_')).filter(Boolean);
+  const unknown = statuses.filter((s) => !DISCOUNT_STATUSES.includes(s));
+  if (unknown.length > 0) {
+    return { error: `Unknown status: ${unknown.join(', ')} (use ${DISCOUNT_STATUSES.join(', ')} or all)` };
+  }
+  return { statuses };
+}
+
+// Build the WHERE conditions for GET /api/discount-events (alias "e").
+// Placeholder values are appended to `values`. Returns { conditions } or { error }.
+//   ?status=...            -> see parseStatusFilter
+//   ?include_archived=true -> don't hide archived events
+//   ?store_id=3
+//   ?item_category=bakery,deli
+//   ?dietary_tags=halal,vegan -> overlaps (any of); tags_all / tags_any / tags_none also work
+//   ?min_discount=30       -> discount_percentage >= 30
+//   ?min_price= / ?max_price= -> on discount_price
+//   ?crowd_sourced=true|false
+//   ?from= / ?to=          -> the discount window overlaps [from, to] (ISO dates or timestamps)
+function buildDiscountEventFilters(query, values) {
+  const { statuses, error } = parseStatusFilter(query.status);
+  if (error) return { error };
+
+  const conditions = buildTagConditions(
+    { ...query, tags_any: query.dietary_tags || query.tags_any },
+    values,
+    'e.dietary_tags'
+  );
+
+  if (statuses) {
+    values.push(statuses);
+    conditions.push(`${discountStatusSql('e')} = ANY($${values.length}::text[])`);
+  }
+  if (query.include_archived !== 'true') {
+    conditions.push('e.archived_at IS NULL');
+  }
+
+  if (query.store_id !== undefined) {
+    const storeId = parseInt(query.store_id, 10);
+    if (isNaN(storeId)) return { error: 'store_id must be an integer' };
+    values.push(storeId);
+    conditions.push(`e.store_id = $${values.length}`);
+  }
+
+  if (query.item_category) {
+    values.push(String(query.item_category).split(',').map((c) => c.trim()).filter(Boolean));
+    conditions.push(`e.item_category = ANY($${values.length}::text[])`);
+  }
+
+  const numericFilters = [
+    ['min_discount', 'e.discount_percentage >='],
+    ['min_price', 'e.discount_price >='],
+    ['max_price', 'e.discount_price <=']
+  ];
+  for (const [param, sql] of numericFilters) {
+    if (query[param] === undefined) continue;
+    const num = parseFloat(query[param]);
+    if (isNaN(num)) return { error: `${param} must be a number` };
+    values.push(num);
+    conditions.push(`${sql} $${values.length}`);
+  }
+
+  if (query.crowd_sourced !== undefined) {
+    if (query.crowd_sourced !== 'true' && query.crowd_sourced !== 'false') {
+      return { error: 'crowd_sourced must be true or false' };
+    }
+    values.push(query.crowd_sourced === 'true');
+    conditions.push(`e.is_crowd_sourced = $${values.length}`);
+  }
+
+  for (const param of ['from', 'to']) {
+    if (query[param] !== undefined && isNaN(Date.parse(query[param]))) {
+      return { error: `${param} must be a date` };
+    }
+  }
+  if (query.from !== undefined) {
+    values.push(query.from);
+    conditions.push(`(${endsAtSql('e')} IS NULL OR ${endsAtSql('e')} >= $${values.length}::timestamp)`);
+  }
+  if (query.to !== undefined) {
+    values.push(query.to);
+    conditions.push(`(e.discount_start IS NULL OR e.discount_start <= $${values.length}::timestamp)`);
+  }
+
+  return { conditions };
+}
+
+// "Deals near me": ?lat=&lon=[&radius=] restricts events to stores (alias "s", joined by the caller)
+// within radius meters, DEFAULT_NEARBY_RADIUS_M when omitted.
+// Returns {} when no origin is given, { error }, or { near: { distanceSql, conditions } }.
+const DEFAULT_NEARBY_RADIUS_M = 2000;
+const MAX_NEARBY_RADIUS_M = 50000;
+
+function parseNearby(query, values) {
+  const { lat, lon, radius } = query;
+  if (lat === undefined && lon === undefined) {
+    return radius !== undefined ? { error: 'radius requires lat/lon' } : {};
+  }
+
+  const latF = parseFloat(lat);
+  const lonF = parseFloat(lon);
+  if (isNaN(latF) || isNaN(lonF)) {
+    return { error: 'lat and lon must both be numbers' };
+  }
+  if (latF < -90 || latF > 90 || lonF < -180 || lonF > 180) {
+    return { error: 'lat/lon out of range' };
+  }
+  const radiusF = radius !== undefined ? parseFloat(radius) : DEFAULT_NEARBY_RADIUS_M;
+  if (isNaN(radiusF) || radiusF <= 0 || radiusF > MAX_NEARBY_RADIUS_M) {
+    return { error: `radius must be a positive number of meters, at most ${MAX_NEARBY_RADIUS_M}` };
+  }
+
+  values.push(lonF, latF);
+  const originSql = `ST_SetSRID(ST_MakePoint($${values.length - 1}, $${values.length}), 4326)::geography`;
+  values.push(radiusF);
+  return {
+    near: {
+      distanceSql: `ST_Distance(s.geom, ${originSql})`,
+      conditions: [`ST_DWithin(s.geom, ${originSql}, $${values.length})`]
+    }
+  };
+}
+
+// ?sort= options. Missing keys always sort last; ties are broken by id in the same direction.
+// "distance" (nearest store first) is only available with lat/lon, see resolveSort.
+const DISCOUNT_EVENT_SORTS = {
+  newest: { key: 'e.created_at', dir: 'DESC' },
+  discount: { key: 'e.discount_percentage', dir: 'DESC' },
+  ending_soon: { key: endsAtSql('e'), dir: 'ASC' },
+  rating: { key: 'e.avg_rating', dir: 'DESC' }
+};
+
+// { key, dir } for a ?sort= value, or null if it doesn't apply
+function resolveSort(sort, near) {
+  if (sort === 'distance') {
+    return near ? { key: near.distanceSql, dir: 'ASC' } : null;
+  }
+  return Object.prototype.hasOwnProperty.call(DISCOUNT_EVENT_SORTS, sort) ? DISCOUNT_EVENT_SORTS[sort] : null;
+}
+
+// Cursors are opaque to clients: base64url of [sort, key as text, id] from the last row of a page
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify([sort, row.sort_key, row.id])).toString('base64url');
+}
+
+// What a cursor's key looks like per sort (timestamps as Postgres prints them), so a forged key is
+// rejected here instead of failing the query
+const TIMESTAMP_KEY = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+const NUMBER_KEY = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+const CURSOR_KEY_PATTERNS = {
+  newest: TIMESTAMP_KEY,
+  ending_soon: TIMESTAMP_KEY,
+  discount: NUMBER_KEY,
+  rating: NUMBER_KEY,
+  distance: NUMBER_KEY
+};
+
+// Returns { key, id } or null when the cursor is malformed or belongs to another sort
+function decodeCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded)) return null;
+    const [cursorSort, key, id] = decoded;
+    if (cursorSort !== sort || !Number.isInteger(id)) return null;
+    if (!Object.prototype.hasOwnProperty.call(CURSOR_KEY_PATTERNS, sort)) return null;
+    if (key !== null && (typeof key !== 'string' || !CURSOR_KEY_PATTERNS[sort].test(key))) return null;
+    return { key, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Keyset condition for "rows after the cursor" under the given sort ({ key, dir }, NULLS LAST)
+function cursorConditionSql({ key, dir }, cursor, values) {
+  const cmp = dir === 'DESC' ? '<' : '>';
+
+  values.push(cursor.id);
+  const idParam = `$${values.length}`;
+  if (cursor.key === null) {
+    return `(${key} IS NULL AND e.id ${cmp} ${idParam})`;
+  }
+
+  values.push(cursor.key);
+  const keyParam = `$${values.length}`;
+  return `(${key} ${cmp} ${keyParam} OR (${key} = ${keyParam} AND e.id ${cmp} ${idParam}) OR ${key} IS NULL)`;
+}
+
+// Replace an event's editable columns with validated `fields` (see validateDiscountEvent).
+// is_crowd_sourced, author_id and the review stats are server-controlled and left alone.
+// Resolves to the updated row (with status), or null.
+async function replaceDiscountEvent(client, id, fields) {
+  const updateSql = `
+    UPDATE discount_events
+    SET
+      store_id = $1,
+      item_name = $2,
+      item_category = $3,
+      reason = $4,
+      original_price = $5,
+      discount_price = $6,
+      discount_percentage = $7,
+      discount_start = $8,
+      discount_end = $9,
+      expiration_date = $10,
+      quantity = $11,
+      item_image_url = $12,
+      posted_by = $13,
+      store_hours = $14,
+      dietary_tags = $15,
+      updated_at = NOW(),
+      reported_gone_at = NULL, -- an edit (e.g. restocked) starts a fresh round of reports
+      archived_at = NULL -- un-archive; the job re-archives it if the new dates are already past
+    WHERE id = $16
+    RETURNING *, ${discountStatusSql('discount_events')} AS status
+  `;
+  const values = [
+    ...EDITABLE_EVENT_COLUMNS.map((col) => fields[col]),
+    id
+  ];
+
+  const { rows } = await client.query(updateSql, values);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Columns set by POST / PUT, in the order used by the insert and update statements
+const EDITABLE_EVENT_COLUMNS = [
+  'store_id',
+  'item_name',
+  'item_category',
+  'reason',
+  'original_price',
+  'discount_price',
+  'discount_percentage',
+  'discount_start',
+  'discount_end',
+  'expiration_date',
+  'quantity',
+  'item_image_url',
+  'posted_by',
+  'store_hours',
+  'dietary_tags'
+];
+
+// Allowed gap, in percentage points, between discount_percentage and the one implied by the prices
+const PERCENTAGE_TOLERANCE = 1;
+
+// Read an optional number field into fields[field] (null when absent); records an error if invalid
+function readNumber(body, field, fields, errors, { integer = false, min = null, max = null } = {}) {
+  const raw = body[field];
+  fields[field] = null;
+  if (raw === undefined || raw === null || raw === '') return;
+
+  const num = Number(raw);
+  if (typeof raw === 'boolean' || !Number.isFinite(num) || (integer && !Number.isInteger(num))) {
+    errors[field] = integer ? 'must be an integer' : 'must be a number';
+  } else if (min !== null && num < min) {
+    errors[field] = `must be at least ${min}`;
+  } else if (max !== null && num > max) {
+    errors[field] = `must be at most ${max}`;
+  } else {
+    fields[field] = num;
+  }
+}
+
+function readText(body, field, fields) {
+  const raw = body[field];
+  fields[field] = typeof raw === 'string' && raw.trim() !== '' ? raw.trim() : null;
+}
+
+// "2025-03-01", "2025-03-01T18:00", "2025-03-01 18:00:00+09:00", ...
+const ISO_DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(?:Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+// The wall-clock time of an ISO date or date-time as a number, for ordering. Offsets are ignored,
+// like Postgres does when it stores them in a TIMESTAMP column, and a date alone is midnight.
+// NaN unless the date exists (Date.parse rolls "2025-02-30" over to March 2).
+function wallClockTime(str) {
+  const m = ISO_DATE_TIME.exec(str);
+  return m && isCalendarDate(m[1]) ? Date.parse(`${m[1]}T${m[2] || '00:00'}Z`) : NaN;
+}
+
+function readDate(body, field, fields, errors) {
+  const raw = body[field];
+  fields[field] = null;
+  if (raw === undefined || raw === null || raw === '') return;
+  if (typeof raw !== 'string' || isNaN(wallClockTime(raw.trim()))) {
+    errors[field] = 'must be an ISO 8601 date or date-time';
+  } else {
+    fields[field] = raw.trim();
+  }
+}
+
+// Validate a POST / PUT body and reconcile the price triple.
+// Returns { fields } with every editable column (null when absent), or { errors: { field: message } }.
+// Prices: any two of original_price, discount_price and discount_percentage; the missing one is
+// computed (prices are whole won). When all three are given they must agree within
+// PERCENTAGE_TOLERANCE. original_price can't be derived from a 100% discount. Checks that need the database (store_id exists, dietary_tags
+// are known) are done by the caller.
+function validateDiscountEvent(body) {
+  const fields = {};
+  const errors = {};
+
+  readNumber(body, 'store_id', fields, errors, { integer: true, min: 1 });
+  if (fields.store_id === null && !errors.store_id) errors.store_id = 'is required';
+
+  readText(body, 'item_name', fields);
+  if (fields.item_name === null) errors.item_name = 'is required';
+  for (const field of ['item_category', 'reason', 'item_image_url', 'posted_by', 'store_hours']) {
+    readText(body, field, fields);
+  }
+
+  // A) Prices
+  readNumber(body, 'original_price', fields, errors, { min: 0 });
+  readNumber(body, 'discount_price', fields, errors, { min: 0 });
+  readNumber(body, 'discount_percentage', fields, errors, { min: 0, max: 100 });
+
+  const { discount_price: price, discount_percentage: pct } = fields;
+  if (fields.original_price === null && price !== null && pct !== null && pct < 100) {
+    fields.original_price = Math.round(price / (1 - pct / 100));
+  }
+  const original = fields.original_price;
+  if (original === null && !errors.original_price) {
+    errors.original_price = price !== null && pct !== null
+      ? 'is required when discount_percentage is 100'
+      : 'is required unless discount_price and discount_percentage are both given';
+  } else if (original === 0) {
+    errors.original_price = 'must be greater than 0';
+  }
+  if (price === null && pct === null && !errors.discount_price && !errors.discount_percentage) {
+    errors.discount_price = 'discount_price or discount_percentage is required';
+  }
+  if (!errors.original_price && !errors.discount_price && !errors.discount_percentage) {
+    if (price !== null && price > original) {
+      errors.discount_price = 'cannot be more than original_price';
+    } else if (price !== null && pct !== null) {
+      const impliedPct = (1 - price / original) * 100;
+      if (Math.abs(impliedPct - pct) > PERCENTAGE_TOLERANCE) {
+        errors.discount_percentage =
+          `does not match the prices (${original} -> ${price} is ${Math.round(impliedPct * 100) / 100}%)`;
+      }
+    } else if (price !== null) {
+      fields.discount_percentage = Math.round((1 - price / original) * 10000) / 100;
+    } else if (pct !== null) {
+      fields.discount_price = Math.round(original * (1 - pct / 100));
+    }
+  }
+
+  // B) Dates
+  readDate(body, 'discount_start', fields, errors);
+  readDate(body, 'discount_end', fields, errors);
+  readDate(body, 'expiration_date', fields, errors);
+  if (fields.discount_start && fields.discount_end &&
+      wallClockTime(fields.discount_start) > wallClockTime(fields.discount_end)) {
+    errors.discount_end = 'must not be before discount_start';
+  }
+
+  // C) The rest
+  readNumber(body, 'quantity', fields, errors, { integer: true, min: 0 });
+
+  if (body.dietary_tags !== undefined && body.dietary_tags !== null &&
+      typeof body.dietary_tags !== 'string' && !Array.isArray(body.dietary_tags)) {
+    errors.dietary_tags = 'must be an array or a comma-separated string';
+  } else {
+    fields.dietary_tags = body.dietary_tags ? parseTagList(body.dietary_tags) : null;
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { fields };
+}
+
+// Reviews: users rate a deal once (editable) and may report it still valid or gone.
+//   discount_event_reviews (
+//     id          SERIAL PRIMARY KEY,
+//     event_id    INT NOT NULL REFERENCES discount_events(id) ON DELETE CASCADE,
+//     author_id   INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+//     rating      SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+//     text        TEXT,
+//     still_valid BOOLEAN,          -- true = still there, false = gone, NULL = no report
+//     created_at  TIMESTAMP DEFAULT NOW(),
+//     updated_at  TIMESTAMP DEFAULT NOW(),
+//     UNIQUE (event_id, author_id)
+//   )
+//   ALTER TABLE discount_events ADD COLUMN reported_gone_at TIMESTAMP;
+// avg_rating and total_reviews on discount_events are derived from these rows and no longer
+// accepted from clients.
+//
+// A deal is flagged reported_gone once at least GONE_REPORT_THRESHOLD reports since its last
+// edit say "gone" and they outnumber the "still valid" ones; the flag clears if that stops
+// being true, or when the event is edited.
+const GONE_REPORT_THRESHOLD = 3;
+
+// Recompute an event's avg_rating, total_reviews and reported_gone_at from its reviews.
+// Resolves to { avg_rating, total_reviews, reported_gone_at }, or null if there is no such event.
+async function refreshReviewStats(client, eventId) {
+  const sql = `
+    WITH stats AS (
+      SELECT
+        ROUND(AVG(r.rating)::numeric, 2) AS avg_rating,
+        COUNT(r.id) AS total_reviews,
+        COUNT(r.id) FILTER (
+          WHERE r.still_valid = false AND r.updated_at >= COALESCE(e.updated_at, e.created_at)
+        ) AS gone,
+        COUNT(r.id) FILTER (
+          WHERE r.still_valid = true AND r.updated_at >= COALESCE(e.updated_at, e.created_at)
+        ) AS valid
+      FROM discount_events e
+      LEFT JOIN discount_event_reviews r ON r.event_id = e.id
+      WHERE e.id = $1
+      GROUP BY e.id
+    )
+    UPDATE discount_events e
+    SET
+      avg_rating = stats.avg_rating,
+      total_reviews = stats.total_reviews,
+      reported_gone_at = CASE
+        WHEN stats.gone >= $2 AND stats.gone > stats.valid THEN COALESCE(e.reported_gone_at, NOW())
+        ELSE NULL
+      END
+    FROM stats
+    WHERE e.id = $1
+    RETURNING e.avg_rating, e.total_reviews, e.reported_gone_at
+  `;
+  const { rows } = await client.query(sql, [eventId, GONE_REPORT_THRESHOLD]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Archive every expired event that isn't archived yet; returns how many were archived
+async function archiveExpiredEvents(client) {
+  const archiveSql = `
+    UPDATE discount_events e
+    SET archived_at = NOW()
+    WHERE e.archived_at IS NULL AND ${endsAtSql('e')} <= ${LOCAL_NOW_SQL}
+  `;
+  const result = await client.query(archiveSql);
+  return result.rowCount;
+}
+
+// Run archiveExpiredEvents now and then every intervalMs. Returns a function that stops the job.
+function startArchiveJob(client, intervalMs) {
+  let running = false;
+
+  async function tick() {
+    if (running) return; // previous run still going
+    running = true;
+    try {
+      const archived = await archiveExpiredEvents(client);
+      if (archived > 0) {
+        console.log(`Archived ${archived} expired discount event(s)`);
+      }
+    } catch (err) {
+      console.error('Error archiving expired discount events:', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  EVENT_TIMEZONE,
+  DISCOUNT_STATUSES,
+  LIVE_STATUSES,
+  RUNNING_STATUSES,
+  endsAtSql,
+  discountStatusSql,
+  parseStatusFilter,
+  buildDiscountEventFilters,
+  parseNearby,
+  DISCOUNT_EVENT_SORTS,
+  resolveSort,
+  encodeCursor,
+  decodeCursor,
+  cursorConditionSql,
+  EDITABLE_EVENT_COLUMNS,
+  validateDiscountEvent,
+  replaceDiscountEvent,
+  refreshReviewStats,
+  archiveExpiredEvents,
+  startArchiveJob
+};
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const axios = require('axios');
+
+// Geocoder layer
+//
+// A provider is any object with:
+//   geocode(address) -> Promise<Array<candidate>>
+// where each candidate looks like:
+//   { label, siDo, siGunGu, eupMyeonDong, postalCode, roadName, lon, lat }
+//
+// Providers:
+//   createKakaoGeocoder({ apiKey })      - Kakao address search, falling back to keyword search
+//   createFixtureGeocoder({ fixtures })  - offline lookups from a JSON file / object (dev + tests)
+//   withGeocodeCache(provider, client)   - wraps any provider with the "geocode_cache" table
+//
+// The cache table is expected to look like:
+//   geocode_cache (
+//     query      TEXT PRIMARY KEY,   -- normalized address (see normalizeQuery)
+//     candidates JSONB NOT NULL,
+//     created_at TIMESTAMP DEFAULT NOW()
+//   )
+
+const KAKAO_ADDRESS_URL = 'https://dapi.kakao.com/v2/local/search/address.json';
+const KAKAO_KEYWORD_URL = 'https://dapi.kakao.com/v2/local/search/keyword.json';
+
+// Helper function to parse a Kakao address.json doc
+function parseKakaoDoc(doc) {
+  const road = doc.road_address;
+  const addr = doc.address;
+
+  let siDo, siGunGu, eupMyeonDong, postalCode, roadName, lon, lat;
+
+  if (road) {
+    siDo         = road.region_1depth_name;   // e.g. "인천"
+    siGunGu      = road.region_2depth_name;   // e.g. "남동구"
+    eupMyeonDong = road.region_3depth_name;   // e.g. "논현동"
+    postalCode   = road.zone_no;              // e.g. "21657"
+    roadName     = road.road_name + ' ' + (road.main_building_no || '');
+    lon = parseFloat(road.x);
+    lat = parseFloat(road.y);
+  } else {
+    // fallback to 'address' if no road_address
+    siDo         = addr.region_1depth_name;
+    siGunGu      = addr.region_2depth_name;
+    eupMyeonDong = addr.region_3depth_name;
+    postalCode   = '';
+    roadName     = '';
+    lon = parseFloat(addr.x);
+    lat = parseFloat(addr.y);
+  }
+
+  return {
+    label: doc.address_name,
+    siDo,
+    siGunGu,
+    eupMyeonDong,
+    postalCode,
+    roadName,
+    lon,
+    lat
+  };
+}
+
+// Helper function to parse a Kakao keyword.json doc (a place, not an address).
+// Places only carry "address_name" (e.g. "서울 용산구 이태원동 123-4"),
+// so the region levels are taken from its first three tokens.
+function parseKakaoKeywordDoc(doc) {
+  const [siDo = '', siGunGu = '', eupMyeonDong = ''] = (doc.address_name || '').split(/\s+/);
+  const roadParts = (doc.road_address_name || '').split(/\s+/);
+
+  return {
+    label: doc.place_name ? `${doc.place_name} (${doc.address_name})` : doc.address_name,
+    siDo,
+    siGunGu,
+    eupMyeonDong,
+    postalCode: '',
+    roadName: doc.road_address_name ? roadParts.slice(2).join(' ') : '',
+    lon: parseFloat(doc.x),
+    lat: parseFloat(doc.y)
+  };
+}
+
+function normalizeQuery(address) {
+  return String(address || '').trim().replace(/\s+/g, ' ');
+}
+
+function createKakaoGeocoder({ apiKey }) {
+  const headers = { Authorization: `KakaoAK ${apiKey}` };
+
+  return {
+    name: 'kakao',
+    async geocode(address) {
+      const params = { query: address };
+
+      // A) Address search first
+      const addrRes = await axios.get(KAKAO_ADDRESS_URL, { headers, params });
+      const docs = addrRes.data.documents || [];
+      if (docs.length > 0) {
+        return docs.map(parseKakaoDoc);
+      }
+
+      // B) Nothing matched => try it as a keyword (place name, landmark, partial address)
+      const keywordRes = await axios.get(KAKAO_KEYWORD_URL, { headers, params });
+      const places = keywordRes.data.documents || [];
+      return places.map(parseKakaoKeywordDoc);
+    }
+  };
+}
+
+// fixtures: either a path to a JSON file or an object of the shape
+//   { "<address>": [ { label, siDo, siGunGu, eupMyeonDong, postalCode, roadName, lon, lat }, ... ] }
+// Keys are matched after normalizeQuery().
+function createFixtureGeocoder({ fixtures }) {
+  const raw = typeof fixtures === 'string'
+    ? JSON.parse(fs.readFileSync(fixtures, 'utf8'))
+    : (fixtures || {});
+
+  const table = {};
+  for (const key of Object.keys(raw)) {
+    table[normalizeQuery(key)] = raw[key];
+  }
+
+  return {
+    name: 'fixture',
+    async geocode(address) {
+      return table[normalizeQuery(address)] || [];
+    }
+  };
+}
+
+function withGeocodeCache(provider, client) {
+  return {
+    name: `${provider.name}+cache`,
+    async geocode(address) {
+      const query = normalizeQuery(address);
+
+      const cached = await client.query(
+        'SELECT candidates FROM geocode_cache WHERE query = $1',
+        [query]
+      );
+      if (cached.rows.length > 0) {
+        return cached.rows[0].candidates;
+      }
+
+      const candidates = await provider.geocode(query);
+
+      // Only successful lookups are cached; an empty result might be fixed upstream later.
+      if (candidates.length > 0) {
+        await client.query(
+          `INSERT INTO geocode_cache (query, candidates)
+           VALUES ($1, $2)
+           ON CONFLICT (query) DO UPDATE SET candidates = EXCLUDED.candidates, created_at = NOW()`,
+          [query, JSON.stringify(candidates)]
+        );
+      }
+      return candidates;
+    }
+  };
+}
+
+// Choose a candidate for an address.
+// Returns { candidate } when exactly one applies, or { candidates } when the caller
+// has to disambiguate (more than one match and no valid candidateIndex), or {} for no match.
+function pickCandidate(candidates, candidateIndex) {
+  if (!candidates || candidates.length === 0) {
+    return {};
+  }
+  if (candidates.length === 1) {
+    return { candidate: candidates[0] };
+  }
+
+  const idx = parseInt(candidateIndex, 10);
+  if (!isNaN(idx) && idx >= 0 && idx < candidates.length) {
+    return { candidate: candidates[idx] };
+  }
+  return { candidates };
+}
+
+// Region / address columns a geocoded row stores (restaurants, stores), matching placeValues order
+const PLACE_COLUMNS = ['"si/do"', '"si/gun/gu"', '"eup/myeon/dong"', '"postal code"', '"road name"'];
+
+function placeValues(place) {
+  return [
+    place.siDo,
+    place.siGunGu,
+    place.eupMyeonDong,
+    place.postalCode,
+    place.roadName
+  ];
+}
+
+// Pick a provider from the environment:
+//   GEOCODER=fixture GEOCODER_FIXTURES=./fixtures/geocode.json  -> offline, never cached
+//   otherwise                                                  -> Kakao, cached if a client is given
+function createGeocoder({ client, kakaoApiKey }) {
+  if (process.env.GEOCODER === 'fixture') {
+    return createFixtureGeocoder({
+      fixtures: process.env.GEOCODER_FIXTURES || `${__dirname}/fixtures/geocode.json`
+    });
+  }
+
+  const provider = createKakaoGeocoder({ apiKey: kakaoApiKey });
+  return client ? withGeocodeCache(provider, client) : provider;
+}
+
+module.exports = {
+  parseKakaoDoc,
+  parseKakaoKeywordDoc,
+  normalizeQuery,
+  createKakaoGeocoder,
+  createFixtureGeocoder,
+  withGeocodeCache,
+  pickCandidate,
+  PLACE_COLUMNS,
+  placeValues,
+  createGeocoder
+};
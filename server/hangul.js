@@ -0,0 +1,121 @@
+// Hangul helpers for store name search.
+//
+// A precomposed syllable (U+AC00..U+D7A3) is
+//   0xAC00 + (initial * 21 + medial) * 28 + final
+// so its jamo can be computed instead of looked up.
+
+const SYLLABLE_BASE = 0xac00;
+const SYLLABLE_LAST = 0xd7a3;
+const MEDIALS = 21;
+const FINALS = 28;
+
+// Initial consonants as compatibility jamo, which is what keyboards produce for "ㅇㅁㄷ"
+const CHOSUNG = [
+  'ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ',
+  'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'
+];
+
+// Revised Romanization, letter by letter (no sound-change rules: 신라 -> "sinra", not "silla")
+const ROMAN_INITIALS = [
+  'g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's',
+  'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'
+];
+const ROMAN_MEDIALS = [
+  'a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae',
+  'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'
+];
+const ROMAN_FINALS = [
+  '', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l',
+  'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'
+];
+
+function isSyllable(code) {
+  return code >= SYLLABLE_BASE && code <= SYLLABLE_LAST;
+}
+
+// Split a syllable's code point into [initial, medial, final] indexes
+function decompose(code) {
+  const offset = code - SYLLABLE_BASE;
+  return [
+    Math.floor(offset / (MEDIALS * FINALS)),
+    Math.floor((offset % (MEDIALS * FINALS)) / FINALS),
+    offset % FINALS
+  ];
+}
+
+// Search keys ignore case, whitespace and punctuation
+function compact(str) {
+  return String(str).toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+// "이마트 24" -> "ㅇㅁㅌ24"; non-Hangul characters are kept as they are
+function toChosung(str) {
+  let out = '';
+  for (const ch of compact(str)) {
+    const code = ch.codePointAt(0);
+    out += isSyllable(code) ? CHOSUNG[decompose(code)[0]] : ch;
+  }
+  return out;
+}
+
+// "이마트 24" -> "imateu24"
+function romanize(str) {
+  let out = '';
+  for (const ch of compact(str)) {
+    const code = ch.codePointAt(0);
+    if (isSyllable(code)) {
+      const [initial, medial, final] = decompose(code);
+      out += ROMAN_INITIALS[initial] + ROMAN_MEDIALS[medial] + ROMAN_FINALS[final];
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+// How brands and common loanwords in store names are usually written in Latin letters, which
+// letter-by-letter romanization never produces (이마트 is "emart", not "imateu")
+const CONVENTIONAL_SPELLINGS = {
+  '이마트': 'emart',
+  '롯데': 'lotte',
+  '홈플러스': 'homeplus',
+  '코스트코': 'costco',
+  '하나로': 'hanaro',
+  '농협': 'nonghyup',
+  '노브랜드': 'nobrand',
+  '다이소': 'daiso',
+  '올리브영': 'oliveyoung',
+  '씨유': 'cu',
+  '세븐일레븐': '7eleven',
+  '파리바게뜨': 'parisbaguette',
+  '뚜레쥬르': 'touslesjours',
+  '마트': 'mart',
+  '슈퍼': 'super',
+  '마켓': 'market',
+  '익스프레스': 'express',
+  '백화점': 'department'
+};
+const CONVENTIONAL_WORDS = Object.keys(CONVENTIONAL_SPELLINGS).sort((a, b) => b.length - a.length);
+
+// "롯데마트 잠실점" -> "lottemartjamsiljeom": known words spelled the usual way, the rest romanized
+function conventionalSpelling(str) {
+  let out = compact(str);
+  for (const word of CONVENTIONAL_WORDS) {
+    out = out.split(word).join(CONVENTIONAL_SPELLINGS[word]);
+  }
+  return romanize(out);
+}
+
+// True when the query is only initial consonants (plus spaces), e.g. "ㅇㅁㄷ"
+function isChosungQuery(str) {
+  const compacted = String(str).replace(/\s+/g, '');
+  return compacted !== '' && [...compacted].every((ch) => CHOSUNG.includes(ch));
+}
+
+module.exports = {
+  compact,
+  toChosung,
+  romanize,
+  conventionalSpelling,
+  isChosungQuery
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Uploaded item images (photos of shelf tags, products, ...).
+//
+//   images (
+//     id            SERIAL PRIMARY KEY,
+//     storage_key   TEXT NOT NULL,
+//     thumbnail_key TEXT NOT NULL,
+//     url           TEXT UNIQUE NOT NULL,    -- what discount_events.item_image_url points at
+//     thumbnail_url TEXT NOT NULL,
+//     content_type  TEXT NOT NULL,
+//     bytes         INT NOT NULL,
+//     width         INT NOT NULL,
+//     height        INT NOT NULL,
+//     uploaded_by   INT REFERENCES users(id) ON DELETE SET NULL,
+//     created_at    TIMESTAMP DEFAULT NOW()
+//   )
+//   CREATE INDEX discount_events_item_image_url_idx ON discount_events (item_image_url);
+//
+// An image is orphaned once no discount event, and no pending edit waiting for the store owner
+// (see store-ownership.js), references its url. Orphans are removed when their event is deleted
+// or re-pointed, and by a periodic sweep for uploads never used (older than ORPHAN_GRACE_HOURS,
+// so a form has time to submit).
+
+const MAX_UPLOAD_BYTES = 8 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000; // refuse decompression bombs
+const MAX_DIMENSION = 2048;                 // longer side of the stored image
+const THUMBNAIL_SIZE = 320;                 // longer side of the thumbnail
+const ORPHAN_GRACE_HOURS = 24;
+
+// WHERE condition (alias i) for images nothing references
+const UNREFERENCED_SQL = `
+  NOT EXISTS (SELECT 1 FROM discount_events e WHERE e.item_image_url = i.url)
+  AND NOT EXISTS (
+    SELECT 1 FROM discount_event_edits d
+    WHERE d.status = 'pending' AND d.changes->>'item_image_url' = i.url
+  )
+`;
+
+// Formats we accept, by what sharp detects in the bytes (the client's Content-Type is ignored)
+const ACCEPTED_FORMATS = {
+  jpeg: { ext: 'jpg', contentType: 'image/jpeg' },
+  png: { ext: 'png', contentType: 'image/png' },
+  webp: { ext: 'webp', contentType: 'image/webp' }
+};
+
+// Decode, auto-rotate, strip metadata (EXIF may carry GPS) and resize.
+// Resolves to { image, thumbnail } buffers plus metadata, or { error } for unusable input.
+async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata();
+  } catch (err) {
+    return { error: 'File is not a readable image' };
+  }
+  const format = ACCEPTED_FORMATS[metadata.format];
+  if (!format) {
+    return { error: `Unsupported image type; use ${Object.keys(ACCEPTED_FORMATS).join(', ')}` };
+  }
+
+  // The header can be fine while the pixel data is truncated or corrupt
+  let image, info, thumbnail;
+  try {
+    const pipeline = sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).rotate();
+    ({ data: image, info } = await pipeline
+      .clone()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .toFormat(metadata.format)
+      .toBuffer({ resolveWithObject: true }));
+    thumbnail = await pipeline
+      .clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+  } catch (err) {
+    return { error: 'File is not a readable image' };
+  }
+
+  return {
+    image,
+    thumbnail,
+    ext: format.ext,
+    contentType: format.contentType,
+    width: info.width,
+    height: info.height
+  };
+}
+
+// Store an uploaded file and record it. Resolves to the images row, or { error }.
+async function saveUploadedImage(client, storage, buffer, uploadedBy) {
+  const processed = await processImage(buffer);
+  if (processed.error) return processed;
+
+  const name = crypto.randomBytes(16).toString('hex');
+  const storageKey = `images/${name}.${processed.ext}`;
+  const thumbnailKey = `images/${name}_thumb.webp`;
+  const insertSql = `
+    INSERT INTO images (
+      storage_key, thumbnail_key, url, thumbnail_url, content_type, bytes, width, height, uploaded_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `;
+  // Files first, so a row always has its files; if anything fails, don't leave files behind
+  try {
+    await storage.put(storageKey, processed.image, processed.contentType);
+    await storage.put(thumbnailKey, processed.thumbnail, 'image/webp');
+    const { rows } = await client.query(insertSql, [
+      storageKey,
+      thumbnailKey,
+      storage.url(storageKey),
+      storage.url(thumbnailKey),
+      processed.contentType,
+      processed.image.length,
+      processed.width,
+      processed.height,
+      uploadedBy
+    ]);
+    return rows[0];
+  } catch (err) {
+    await removeFiles(storage, [{ storage_key: storageKey, thumbnail_key: thumbnailKey }]).catch((cleanupErr) => {
+      console.error(`Error removing files of failed upload ${storageKey}:`, cleanupErr);
+    });
+    throw err;
+  }
+}
+
+// Delete the given images' files and rows, skipping any still referenced (see UNREFERENCED_SQL).
+// `urls` may contain nulls and URLs that aren't uploads. Resolves to the number deleted.
+async function deleteOrphanedImages(client, storage, urls) {
+  const candidates = urls.filter(Boolean);
+  if (candidates.length === 0) return 0;
+
+  const deleteSql = `
+    DELETE FROM images i
+    WHERE i.url = ANY($1::text[]) AND ${UNREFERENCED_SQL}
+    RETURNING storage_key, thumbnail_key
+  `;
+  const { rows } = await client.query(deleteSql, [candidates]);
+  await removeFiles(storage, rows);
+  return rows.length;
+}
+
+// Periodic sweep: uploads nobody referenced within ORPHAN_GRACE_HOURS
+async function sweepOrphanedImages(client, storage) {
+  const deleteSql = `
+    DELETE FROM images i
+    WHERE i.created_at < NOW() - INTERVAL '${ORPHAN_GRACE_HOURS} hours' AND ${UNREFERENCED_SQL}
+    RETURNING storage_key, thumbnail_key
+  `;
+  const { rows } = await client.query(deleteSql);
+  await removeFiles(storage, rows);
+  return rows.length;
+}
+
+async function removeFiles(storage, rows) {
+  for (const row of rows) {
+    await storage.remove(row.storage_key);
+    await storage.remove(row.thumbnail_key);
+  }
+}
+
+// Run sweepOrphanedImages every intervalMs. Returns a function that stops the job.
+function startOrphanSweepJob(client, storage, intervalMs) {
+  const timer = setInterval(async () => {
+    try {
+      const deleted = await sweepOrphanedImages(client, storage);
+      if (deleted > 0) {
+        console.log(`Deleted ${deleted} orphaned image(s)`);
+      }
+    } catch (err) {
+      console.error('Error sweeping orphaned images:', err);
+    }
+  }, intervalMs);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  ACCEPTED_FORMATS,
+  processImage,
+  saveUploadedImage,
+  deleteOrphanedImages,
+  sweepOrphanedImages,
+  startOrphanSweepJob
+};
@@ -0,0 +1,80 @@
+// CLI equivalent of POST /api/restaurants/import
+//
+// Usage:
+//   node import-restaurants.js <file.csv|file.json> [--dry-run] [--concurrency=4]
+//
+// Uses the same DATABASE_URL and geocoder settings (GEOCODER, GEOCODER_FIXTURES) as server.js.
+// Prints the per-row report as JSON; exits 1 if any row failed.
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+const { parseCsv } = require('./csv');
+const { createGeocoder } = require('./geocoder');
+const { importRestaurants } = require('./restaurant-import');
+
+const KAKAO_REST_API_KEY = process.env.KAKAO_REST_API_KEY || 'e827a92304992a479b2fa3c6bd3bf5ad';
+
+function parseArgs(argv) {
+  const opts = { file: null, dryRun: false, concurrency: undefined };
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      opts.dryRun = true;
+    } else if (arg.startsWith('--concurrency=')) {
+      opts.concurrency = arg.slice('--concurrency='.length);
+    } else if (!opts.file) {
+      opts.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  if (!opts.file) {
+    throw new Error('Usage: node import-restaurants.js <file.csv|file.json> [--dry-run] [--concurrency=N]');
+  }
+  return opts;
+}
+
+function readRows(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.json') {
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON import file must contain an array of restaurants');
+    }
+    return rows;
+  }
+  return parseCsv(text);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const rows = readRows(opts.file);
+
+  const client = new Client({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+      rejectUnauthorized: false
+    }
+  });
+  await client.connect();
+
+  try {
+    const geocoder = createGeocoder({ client, kakaoApiKey: KAKAO_REST_API_KEY });
+    const report = await importRestaurants(rows, {
+      client,
+      geocoder,
+      dryRun: opts.dryRun,
+      concurrency: opts.concurrency
+    });
+
+    console.log(JSON.stringify(report, null, 2));
+    const failed = report.summary.geocode_failed + report.summary.validation_failed + report.summary.error;
+    process.exitCode = failed > 0 ? 1 : 0;
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('Import failed:', err.message);
+  process.exitCode = 1;
+});
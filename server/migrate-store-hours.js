@@ -0,0 +1,73 @@
+// One-off migration: turn free-form store_hours text into structured opening hours.
+//
+// Usage:
+//   node migrate-store-hours.js [--dry-run]
+//
+// For every store without structured hours yet, parses stores.store_hours, or failing that the
+// store_hours of its most recent discount event, and saves the result (see opening-hours.js).
+// Strings the parser doesn't understand, or that leave some weekday out, are left alone and
+// listed in the report.
+const { Client } = require('pg');
+const { normalizeSchedule, parseStoreHours, saveSchedule } = require('./opening-hours');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  const client = new Client({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+      rejectUnauthorized: false
+    }
+  });
+  await client.connect();
+
+  try {
+    // 1) Stores with no structured hours, with the best text we have for them
+    const { rows } = await client.query(`
+      SELECT
+        s.id,
+        s.store_name,
+        COALESCE(NULLIF(TRIM(s.store_hours), ''), (
+          SELECT e.store_hours
+          FROM discount_events e
+          WHERE e.store_id = s.id AND NULLIF(TRIM(e.store_hours), '') IS NOT NULL
+          ORDER BY e.created_at DESC
+          LIMIT 1
+        )) AS hours_text
+      FROM stores s
+      WHERE NOT EXISTS (SELECT 1 FROM opening_hours h WHERE h.store_id = s.id)
+      ORDER BY s.id ASC
+    `);
+
+    // 2) Parse and save what we can
+    const report = { dry_run: dryRun, migrated: [], unparsed: [], no_hours: 0 };
+    for (const row of rows) {
+      if (!row.hours_text) {
+        report.no_hours++;
+        continue;
+      }
+
+      const parsed = parseStoreHours(row.hours_text);
+      const normalized = parsed && normalizeSchedule(parsed);
+      if (!normalized || normalized.errors) {
+        report.unparsed.push({ id: row.id, store_name: row.store_name, store_hours: row.hours_text });
+        continue;
+      }
+
+      if (!dryRun) {
+        await saveSchedule(client, 'store', row.id, normalized);
+      }
+      report.migrated.push({ id: row.id, store_name: row.store_name, store_hours: row.hours_text });
+    }
+
+    console.log(JSON.stringify(report, null, 2));
+    console.log(`Migrated ${report.migrated.length}, unparsed ${report.unparsed.length}, no hours ${report.no_hours}`);
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('Migration failed:', err.message);
+  process.exitCode = 1;
+});
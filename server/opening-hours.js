@@ -0,0 +1,445 @@
+// Structured opening hours for restaurants and stores.
+//
+// These helpers assume two tables, each row owned by exactly one restaurant or store:
+//   opening_hours (
+//     id            SERIAL PRIMARY KEY,
+//     restaurant_id INT REFERENCES restaurants(id) ON DELETE CASCADE,
+//     store_id      INT REFERENCES stores(id) ON DELETE CASCADE,
+//     weekday       SMALLINT NOT NULL,   -- 0 = Sunday ... 6 = Saturday, like EXTRACT(DOW)
+//     opens         TIME NOT NULL,
+//     closes        TIME NOT NULL,       -- closes <= opens => runs past midnight
+//     CHECK ((restaurant_id IS NULL) <> (store_id IS NULL))
+//   )
+//   opening_hours_exceptions (
+//     id            SERIAL PRIMARY KEY,
+//     restaurant_id INT REFERENCES restaurants(id) ON DELETE CASCADE,
+//     store_id      INT REFERENCES stores(id) ON DELETE CASCADE,
+//     date          DATE NOT NULL,
+//     opens         TIME,                -- opens/closes NULL => closed all day
+//     closes        TIME,
+//     note          TEXT,
+//     CHECK ((restaurant_id IS NULL) <> (store_id IS NULL))
+//   )
+//
+// The API shape of a schedule (PUT/GET .../hours):
+//   {
+//     weekly: [
+//       { day: 'mon', opens: '11:00', closes: '22:00', breaks: [{ start: '15:00', end: '17:00' }] },
+//       { day: 'fri', opens: '18:00', closes: '02:00' },         // overnight
+//       { day: 'sat', opens: '11:00', closes: '14:00' },         // several entries per day
+//       { day: 'sat', opens: '17:00', closes: '23:00' }          //   = split shifts
+//     ],
+//     exceptions: [
+//       { date: '2025-01-01', closed: true, note: '신정' },
+//       { date: '2025-01-28', opens: '12:00', closes: '18:00' }
+//     ]
+//   }
+// Breaks are stored by splitting the shift, so GET returns them as split shifts.
+// A date listed in exceptions replaces that day's weekly hours entirely.
+// All times are local to SCHEDULE_TIMEZONE.
+
+const SCHEDULE_TIMEZONE = 'Asia/Seoul';
+
+const OWNER_COLUMNS = {
+  restaurant: 'restaurant_id',
+  store: 'store_id'
+};
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_ALIASES = {
+  sun: 0, sunday: 0, '일': 0, '일요일': 0,
+  mon: 1, monday: 1, '월': 1, '월요일': 1,
+  tue: 2, tuesday: 2, '화': 2, '화요일': 2,
+  wed: 3, wednesday: 3, '수': 3, '수요일': 3,
+  thu: 4, thursday: 4, '목': 4, '목요일': 4,
+  fri: 5, friday: 5, '금': 5, '금요일': 5,
+  sat: 6, saturday: 6, '토': 6, '토요일': 6
+};
+
+// Day groups the free-form parser understands besides single days and ranges
+const DAY_GROUPS = {
+  '평일': [1, 2, 3, 4, 5], '주중': [1, 2, 3, 4, 5], weekdays: [1, 2, 3, 4, 5], weekday: [1, 2, 3, 4, 5],
+  '주말': [6, 0], weekends: [6, 0], weekend: [6, 0]
+};
+
+function parseDay(val) {
+  if (Number.isInteger(val) && val >= 0 && val <= 6) return val;
+  const key = String(val).trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(DAY_ALIASES, key) ? DAY_ALIASES[key] : null;
+}
+
+// "9:00", "09:00", "24:00" -> minutes since midnight, or null
+function parseTime(val) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(val).trim());
+  if (!m) return null;
+  const h = parseInt(m[1], 10);
+  const min = parseInt(m[2], 10);
+  if (min > 59 || h > 24 || (h === 24 && min !== 0)) return null;
+  return h * 60 + min;
+}
+
+// minutes -> "HH:MM" (1440, i.e. "24:00", wraps to "00:00")
+function formatTime(minutes) {
+  const m = minutes % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// Cut breaks out of one shift. Works in "minutes since opening" so overnight shifts are easy.
+function splitShift(opens, closes, breaks) {
+  const length = closes > opens ? closes - opens : closes + 1440 - opens;
+  let pieces = [[0, length]];
+
+  for (const b of breaks) {
+    let start = b.start - opens;
+    let end = b.end - opens;
+    if (start < 0 && end > 0) {
+      start = 0; // began before opening (10:30-11:30 for an 11:00 opening): only the overlap counts
+    } else if (start < 0) {
+      start += 1440; // after midnight in an overnight shift
+    }
+    if (end <= start) end += 1440;
+
+    const next = [];
+    for (const [from, to] of pieces) {
+      if (end <= from || start >= to) {
+        next.push([from, to]);
+        continue;
+      }
+      if (start > from) next.push([from, start]);
+      if (end < to) next.push([end, to]);
+    }
+    pieces = next;
+  }
+
+  // dayOffset = 1 for a piece that starts after midnight (it belongs to the next weekday)
+  return pieces.map(([from, to]) => ({
+    dayOffset: Math.floor((opens + from) / 1440),
+    opens: formatTime(opens + from),
+    closes: formatTime(opens + to)
+  }));
+}
+
+// "YYYY-MM-DD" naming a real day ("2025-02-30" is not, though Date.parse accepts it)
+function isCalendarDate(val) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(val));
+  if (!m) return false;
+  const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Validate an API schedule and flatten it into storage rows.
+// Returns { intervals: [{ weekday, opens, closes }], exceptions: [{ date, opens, closes, note }] }
+// or { errors: [...] }.
+function normalizeSchedule(input) {
+  const errors = [];
+  const intervals = [];
+  const exceptions = [];
+
+  if (!input || typeof input !== 'object') {
+    return { errors: ['schedule must be an object with "weekly" and/or "exceptions"'] };
+  }
+  const weekly = input.weekly || [];
+  const exceptionList = input.exceptions || [];
+  if (!Array.isArray(weekly) || !Array.isArray(exceptionList)) {
+    return { errors: ['"weekly" and "exceptions" must be arrays'] };
+  }
+
+  weekly.forEach((entry, idx) => {
+    const weekday = parseDay(entry && entry.day);
+    const opens = parseTime(entry && entry.opens);
+    const closes = parseTime(entry && entry.closes);
+    if (weekday === null) errors.push(`weekly[${idx}].day is not a weekday`);
+    if (opens === null) errors.push(`weekly[${idx}].opens must be HH:MM`);
+    if (closes === null) errors.push(`weekly[${idx}].closes must be HH:MM`);
+
+    const breakList = entry && entry.breaks !== undefined && entry.breaks !== null ? entry.breaks : [];
+    if (!Array.isArray(breakList)) {
+      errors.push(`weekly[${idx}].breaks must be an array`);
+    }
+    const breaks = [];
+    (Array.isArray(breakList) ? breakList : []).forEach((b, bIdx) => {
+      const start = parseTime(b && b.start);
+      const end = parseTime(b && b.end);
+      if (start === null || end === null) {
+        errors.push(`weekly[${idx}].breaks[${bIdx}] needs start and end as HH:MM`);
+      } else {
+        breaks.push({ start, end });
+      }
+    });
+
+    if (weekday !== null && opens !== null && closes !== null) {
+      for (const piece of splitShift(opens, closes % 1440, breaks)) {
+        intervals.push({ weekday: (weekday + piece.dayOffset) % 7, opens: piece.opens, closes: piece.closes });
+      }
+    }
+  });
+
+  exceptionList.forEach((entry, idx) => {
+    const date = entry && entry.date;
+    if (!isCalendarDate(date)) {
+      errors.push(`exceptions[${idx}].date must be a real date as YYYY-MM-DD`);
+      return;
+    }
+    const note = entry.note || null;
+    if (entry.closed) {
+      exceptions.push({ date, opens: null, closes: null, note });
+      return;
+    }
+    const opens = parseTime(entry.opens);
+    const closes = parseTime(entry.closes);
+    if (opens === null || closes === null) {
+      errors.push(`exceptions[${idx}] needs closed: true, or opens and closes as HH:MM`);
+      return;
+    }
+    exceptions.push({ date, opens: formatTime(opens), closes: formatTime(closes), note });
+  });
+
+  return errors.length > 0 ? { errors } : { intervals, exceptions };
+}
+
+const DAY_TOKEN = '(평일|주중|주말|[A-Za-z]+|[일월화수목금토](?:요일)?)';
+const DAYS_PREFIX = new RegExp(`^${DAY_TOKEN}(?:\\s*[-~]\\s*${DAY_TOKEN})?\\s*[·&]?\\s*`);
+
+// Days at the start of a free-form segment: "월-금 09:00-21:00", "주말 휴무", "토·일 휴무".
+// Returns { days, rest } (days null when the segment doesn't start with days), or null for a
+// malformed range such as "평일-일".
+function parseDaysPrefix(seg) {
+  let days = null;
+  let rest = seg;
+  let m;
+  while ((m = DAYS_PREFIX.exec(rest)) !== null) {
+    const key = m[1].toLowerCase();
+    const fromGroup = Object.prototype.hasOwnProperty.call(DAY_GROUPS, key) ? DAY_GROUPS[key] : null;
+    const from = fromGroup ? null : parseDay(m[1]);
+    if (!fromGroup && from === null) break; // a word, not a day ("closed", "Daily")
+
+    if (m[2] !== undefined) {
+      const to = parseDay(m[2]);
+      if (fromGroup || to === null) return null;
+      days = days || [];
+      for (let d = from; ; d = (d + 1) % 7) {
+        days.push(d);
+        if (d === to) break;
+      }
+    } else {
+      days = (days || []).concat(fromGroup || [from]);
+    }
+    rest = rest.slice(m[0].length);
+  }
+  return { days, rest: rest.trim() };
+}
+
+// Best-effort parser for the free-form store_hours strings, e.g.
+//   "10:00~22:00"                        "24시간"
+//   "월-금 09:00~21:00, 토 10:00~18:00, 일 휴무"
+//   "Mon-Fri 9:00-21:00; Sat-Sun closed"  "매일 11:00-22:00 (브레이크타임 15:00-17:00)"
+//   "평일 10:00-20:00, 토,일 휴무"           "평일 09:00-18:00, 주말 10:00-17:00"
+// Segments are separated by , ; / | or newlines. Days are single days, ranges ("월-금"), groups
+// (평일 = Mon-Fri, 주말 = Sat-Sun) or lists ("토·일", or "토,일 휴무" where a segment of only days
+// carries over to the next). A segment without days applies to every day not named by another
+// segment. Returns an API schedule ({ weekly }), or null if any part of the text can't be
+// understood or it leaves some day unaccounted for (rather than guessing that day's hours).
+function parseStoreHours(text) {
+  if (!text || !String(text).trim()) return null;
+
+  const TIME_RANGE = /(\d{1,2})(?::|시\s*)(\d{2})?\s*(?:분)?\s*[-~–]\s*(\d{1,2})(?::|시\s*)(\d{2})?\s*(?:분)?/g;
+  const CLOSED = /(휴무|휴일|쉼|closed|off)/i;
+  const ALL_DAYS = /(매일|연중무휴|daily|everyday|every day)/i;
+  const TWENTY_FOUR = /(24\s*시간|24\s*h(ours)?)/i;
+  const BREAK = /(브레이크\s*타임|break\s*time|break|휴게)/i;
+
+  const byDay = {};      // weekday -> [{ opens, closes }] from day-specific segments
+  const breaksByDay = {};
+  let defaultShifts = null;
+  let defaultBreaks = [];
+  let pendingDays = [];
+
+  const segments = String(text)
+    .replace(/[()[\]]/g, ',')
+    .split(/[,;/|\n]+/)
+    .map((seg) => seg.trim())
+    .filter(Boolean);
+
+  for (const seg of segments) {
+    // A) Days named at the start of this segment, plus any carried over from a days-only segment
+    const named = parseDaysPrefix(seg);
+    if (named === null) return null;
+    let days = named.days;
+    if (pendingDays.length > 0) {
+      if (!days) return null; // "토, 10:00-18:00": can't tell what the lone day means
+      days = pendingDays.concat(days);
+      pendingDays = [];
+    }
+    if (days && named.rest === '') {
+      pendingDays = days;
+      continue;
+    }
+
+    // B) Times in this segment
+    const shifts = [];
+    let m;
+    TIME_RANGE.lastIndex = 0;
+    while ((m = TIME_RANGE.exec(seg)) !== null) {
+      const opens = parseTime(`${m[1]}:${m[2] || '00'}`);
+      const closes = parseTime(`${m[3]}:${m[4] || '00'}`);
+      if (opens === null || closes === null) return null;
+      shifts.push({ opens: formatTime(opens), closes: formatTime(closes) });
+    }
+    if (TWENTY_FOUR.test(seg)) {
+      shifts.push({ opens: '00:00', closes: '00:00' });
+    }
+
+    // C) Record what the segment means
+    if (BREAK.test(seg)) {
+      if (shifts.length === 0) return null;
+      const breaks = shifts.map((s) => ({ start: s.opens, end: s.closes }));
+      if (days) {
+        days.forEach((d) => { breaksByDay[d] = (breaksByDay[d] || []).concat(breaks); });
+      } else {
+        defaultBreaks = defaultBreaks.concat(breaks);
+      }
+    } else if (CLOSED.test(seg) && shifts.length === 0) {
+      if (!days) return null; // "휴무" without a day tells us nothing
+      days.forEach((d) => { byDay[d] = []; });
+    } else if (shifts.length > 0) {
+      if (days) {
+        days.forEach((d) => { byDay[d] = (byDay[d] || []).concat(shifts); });
+      } else {
+        defaultShifts = (defaultShifts || []).concat(shifts);
+      }
+    } else if (!ALL_DAYS.test(seg)) {
+      return null; // something we don't understand
+    }
+  }
+
+  if (pendingDays.length > 0) return null;
+
+  const weekly = [];
+  for (let d = 0; d < 7; d++) {
+    if (byDay[d] === undefined && defaultShifts === null) return null; // day not mentioned
+    const shifts = byDay[d] !== undefined ? byDay[d] : defaultShifts;
+    const breaks = (breaksByDay[d] || []).concat(defaultBreaks);
+    for (const s of shifts) {
+      weekly.push({ day: DAY_NAMES[d], opens: s.opens, closes: s.closes, breaks });
+    }
+  }
+
+  const anyHours = weekly.length > 0;
+  return anyHours ? { weekly } : null;
+}
+
+// SQL condition: is the owner open at the timestamptz placeholder `tsSql` (e.g. '$3')?
+//   owner:  'restaurant' | 'store'
+//   idSql:  SQL expression for the owner's id in the outer query (e.g. 'restaurants.id')
+// Today's exceptions replace today's weekly hours; yesterday's overnight hours
+// (weekly or exception) spill into the early morning.
+function openAtConditionSql(owner, idSql, tsSql) {
+  const col = OWNER_COLUMNS[owner];
+  const local = `(${tsSql}::timestamptz AT TIME ZONE '${SCHEDULE_TIMEZONE}')`;
+  const exceptionFor = (dateSql) =>
+    `SELECT 1 FROM opening_hours_exceptions x WHERE x.${col} = ${idSql} AND x.date = ${dateSql}`;
+
+  return `(
+    CASE WHEN EXISTS (${exceptionFor(`${local}::date`)})
+      THEN EXISTS (
+        ${exceptionFor(`${local}::date`)}
+          AND x.opens IS NOT NULL
+          AND ${local}::time >= x.opens
+          AND (${local}::time < x.closes OR x.closes <= x.opens)
+      )
+      ELSE EXISTS (
+        SELECT 1 FROM opening_hours h
+        WHERE h.${col} = ${idSql}
+          AND h.weekday = EXTRACT(DOW FROM ${local})
+          AND ${local}::time >= h.opens
+          AND (${local}::time < h.closes OR h.closes <= h.opens)
+      )
+    END
+    OR
+    CASE WHEN EXISTS (${exceptionFor(`(${local}::date - 1)`)})
+      THEN EXISTS (
+        ${exceptionFor(`(${local}::date - 1)`)}
+          AND x.opens IS NOT NULL
+          AND x.closes <= x.opens
+          AND ${local}::time < x.closes
+      )
+      ELSE EXISTS (
+        SELECT 1 FROM opening_hours h
+        WHERE h.${col} = ${idSql}
+          AND h.weekday = EXTRACT(DOW FROM ${local} - INTERVAL '1 day')
+          AND h.closes <= h.opens
+          AND ${local}::time < h.closes
+      )
+    END
+  )`;
+}
+
+// Replace an owner's schedule with the normalized one (single statement, so it's atomic)
+async function saveSchedule(client, owner, ownerId, { intervals, exceptions }) {
+  const col = OWNER_COLUMNS[owner];
+  const sql = `
+    WITH
+      del_hours AS (DELETE FROM opening_hours WHERE ${col} = $1),
+      del_exceptions AS (DELETE FROM opening_hours_exceptions WHERE ${col} = $1),
+      ins_hours AS (
+        INSERT INTO opening_hours (${col}, weekday, opens, closes)
+        SELECT $1, w, o::time, c::time
+        FROM unnest($2::smallint[], $3::text[], $4::text[]) AS t(w, o, c)
+      ),
+      ins_exceptions AS (
+        INSERT INTO opening_hours_exceptions (${col}, date, opens, closes, note)
+        SELECT $1, d::date, o::time, c::time, n
+        FROM unnest($5::text[], $6::text[], $7::text[], $8::text[]) AS t(d, o, c, n)
+      )
+    SELECT 1
+  `;
+  await client.query(sql, [
+    ownerId,
+    intervals.map((i) => i.weekday),
+    intervals.map((i) => i.opens),
+    intervals.map((i) => i.closes),
+    exceptions.map((e) => e.date),
+    exceptions.map((e) => e.opens),
+    exceptions.map((e) => e.closes),
+    exceptions.map((e) => e.note)
+  ]);
+}
+
+// Load an owner's schedule in the API shape ({ timezone, weekly, exceptions })
+async function loadSchedule(client, owner, ownerId) {
+  const col = OWNER_COLUMNS[owner];
+  const hoursRes = await client.query(
+    `SELECT weekday, to_char(opens, 'HH24:MI') AS opens, to_char(closes, 'HH24:MI') AS closes
+     FROM opening_hours WHERE ${col} = $1 ORDER BY weekday, opens`,
+    [ownerId]
+  );
+  const exceptionsRes = await client.query(
+    `SELECT to_char(date, 'YYYY-MM-DD') AS date,
+            to_char(opens, 'HH24:MI') AS opens,
+            to_char(closes, 'HH24:MI') AS closes,
+            note
+     FROM opening_hours_exceptions WHERE ${col} = $1 ORDER BY date, opens`,
+    [ownerId]
+  );
+
+  return {
+    timezone: SCHEDULE_TIMEZONE,
+    weekly: hoursRes.rows.map((r) => ({ day: DAY_NAMES[r.weekday], opens: r.opens, closes: r.closes })),
+    exceptions: exceptionsRes.rows.map((r) => (r.opens === null
+      ? { date: r.date, closed: true, note: r.note }
+      : { date: r.date, opens: r.opens, closes: r.closes, note: r.note }))
+  };
+}
+
+module.exports = {
+  SCHEDULE_TIMEZONE,
+  OWNER_COLUMNS,
+  isCalendarDate,
+  normalizeSchedule,
+  parseStoreHours,
+  openAtConditionSql,
+  saveSchedule,
+  loadSchedule
+};
@@ -0,0 +1,80 @@
+// Post ranking for GET /api/community/trending and GET /api/community/posts.
+//
+//   new            newest first
+//   hot            net votes on a log scale plus a bonus for recency: every HOT_DECAY_SECONDS
+//                  newer counts as much as 10x the net votes (Reddit's formula)
+//   top            net votes (upvotes - downvotes)
+//   controversial  many votes, evenly split: (up + down) ^ (smaller side / larger side)
+//   rising         votes per hour, with gravity so a post's first hours count most
+//
+// Every sort can be limited to a time window (by post created_at). Scores are computed in SQL
+// (alias p) and returned as `score` so clients can show why a post ranks where it does.
+
+const HOT_DECAY_SECONDS = 45000; // 12.5 hours
+const RISING_GRAVITY = 1.5;
+
+const TIME_WINDOWS = {
+  day: '1 day',
+  week: '7 days',
+  month: '30 days',
+  all: null
+};
+
+const NET_VOTES_SQL = '(p.upvotes - p.downvotes)';
+const AGE_HOURS_SQL = 'EXTRACT(EPOCH FROM (NOW() - p.created_at)) / 3600';
+
+const POST_SORTS = {
+  new: {
+    score: 'EXTRACT(EPOCH FROM p.created_at)',
+    defaultWindow: 'all'
+  },
+  hot: {
+    score: `SIGN(${NET_VOTES_SQL}) * LOG(GREATEST(ABS(${NET_VOTES_SQL}), 1))
+      + EXTRACT(EPOCH FROM p.created_at) / ${HOT_DECAY_SECONDS}`,
+    defaultWindow: 'week'
+  },
+  top: {
+    score: NET_VOTES_SQL,
+    defaultWindow: 'day'
+  },
+  controversial: {
+    score: `CASE WHEN p.upvotes = 0 OR p.downvotes = 0 THEN 0
+      ELSE POWER(p.upvotes + p.downvotes, LEAST(p.upvotes, p.downvotes)::float / GREATEST(p.upvotes, p.downvotes))
+    END`,
+    defaultWindow: 'week'
+  },
+  rising: {
+    score: `(p.upvotes + p.downvotes)::float / POWER(${AGE_HOURS_SQL} + 2, ${RISING_GRAVITY})`,
+    defaultWindow: 'day'
+  }
+};
+
+// Read sort and window from a query string.
+// Returns { sort, window, score, orderBy, windowSql } or { error }; windowSql is null for "all".
+function parseRanking(query, defaultSort) {
+  const sort = query.sort || defaultSort;
+  if (!Object.prototype.hasOwnProperty.call(POST_SORTS, sort)) {
+    return { error: `sort must be one of: ${Object.keys(POST_SORTS).join(', ')}` };
+  }
+  const ranking = POST_SORTS[sort];
+
+  const window = query.window || ranking.defaultWindow;
+  if (!Object.prototype.hasOwnProperty.call(TIME_WINDOWS, window)) {
+    return { error: `window must be one of: ${Object.keys(TIME_WINDOWS).join(', ')}` };
+  }
+
+  const interval = TIME_WINDOWS[window];
+  return {
+    sort,
+    window,
+    score: ranking.score,
+    orderBy: 'score DESC, p.created_at DESC, p.id DESC',
+    windowSql: interval ? `p.created_at >= NOW() - INTERVAL '${interval}'` : null
+  };
+}
+
+module.exports = {
+  TIME_WINDOWS,
+  POST_SORTS,
+  parseRanking
+};
@@ -0,0 +1,126 @@
+const { stringifyCsv } = require('./csv');
+
+// Serializers for GET /api/restaurants result sets.
+// Every row is expected to carry numeric "lon" and "lat" (from ST_X/ST_Y);
+// all other columns become properties / attributes.
+
+const EXPORT_FORMATS = {
+  json: 'application/json',
+  geojson: 'application/geo+json',
+  csv: 'text/csv',
+  kml: 'application/vnd.google-earth.kml+xml'
+};
+
+// Split a row into its point and the remaining properties
+function splitRow(row) {
+  const { lon, lat, ...properties } = row;
+  return { lon: Number(lon), lat: Number(lat), properties };
+}
+
+function toGeoJSON(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.map((row) => {
+      const { lon, lat, properties } = splitRow(row);
+      return {
+        type: 'Feature',
+        id: row.id,
+        geometry: { type: 'Point', coordinates: [lon, lat] },
+        properties
+      };
+    })
+  };
+}
+
+function toCsv(rows) {
+  return stringifyCsv(rows);
+}
+
+function escapeXml(val) {
+  return String(val)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// KML 2.2 document; Google My Maps and QGIS both read <ExtendedData> as attributes
+function toKml(rows) {
+  const placemarks = rows.map((row) => {
+    const { lon, lat, properties } = splitRow(row);
+    const data = Object.keys(properties)
+      .filter((key) => properties[key] !== null && properties[key] !== undefined)
+      .map((key) => {
+        let val = properties[key];
+        if (val instanceof Date) {
+          val = val.toISOString();
+        } else if (typeof val === 'object') {
+          val = JSON.stringify(val);
+        }
+        return `        <Data name="${escapeXml(key)}"><value>${escapeXml(val)}</value></Data>`;
+      })
+      .join('\n');
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(row.name || '')}</name>`,
+      row.full_address ? `      <address>${escapeXml(row.full_address)}</address>` : null,
+      '      <ExtendedData>',
+      data,
+      '      </ExtendedData>',
+      `      <Point><coordinates>${lon},${lat}</coordinates></Point>`,
+      '    </Placemark>'
+    ].filter((line) => line !== null && line !== '').join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>Restaurants</name>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+// Pick the export format: an explicit ?format= wins, otherwise the Accept header.
+// Returns null for an unknown ?format= value.
+function negotiateFormat(req) {
+  const { format } = req.query;
+  if (format !== undefined) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format) ? format : null;
+  }
+
+  const accepted = req.accepts(Object.values(EXPORT_FORMATS));
+  const match = Object.keys(EXPORT_FORMATS).find((key) => EXPORT_FORMATS[key] === accepted);
+  return match || 'json';
+}
+
+// Write rows to the response in the given format
+function sendRestaurants(res, rows, format) {
+  switch (format) {
+    case 'geojson':
+      res.type(EXPORT_FORMATS.geojson).send(JSON.stringify(toGeoJSON(rows)));
+      break;
+    case 'csv':
+      res.attachment('restaurants.csv').type(EXPORT_FORMATS.csv).send(toCsv(rows));
+      break;
+    case 'kml':
+      res.attachment('restaurants.kml').type(EXPORT_FORMATS.kml).send(toKml(rows));
+      break;
+    default:
+      res.json(rows);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toGeoJSON,
+  toCsv,
+  toKml,
+  negotiateFormat,
+  sendRestaurants
+};
@@ -0,0 +1,186 @@
+const { pickCandidate } = require('./geocoder');
+const { DUPLICATE_RADIUS_M, findDuplicates, insertRestaurant, updateRestaurant } = require('./restaurants');
+const { compact } = require('./hangul');
+const { LEGACY_TAG_FIELDS, tagsFromBody, listTagSlugs } = require('./tags');
+
+// Bulk restaurant import, shared by POST /api/restaurants/import and import-restaurants.js.
+//
+// Each input row has the same fields as POST /api/restaurants:
+//   { name, address, candidate_index?, tags?, english_speaking?, vegan?, ... }
+// tags is an array (JSON) or a "halal|vegan" / "halal,vegan" string (CSV); every slug must exist.
+// The legacy booleans may be real booleans (JSON) or strings (CSV): true/false, 1/0, yes/no, y/n, or empty.
+//
+// Every row ends up with one status:
+//   inserted | updated | geocode_failed | validation_failed | error (the database failed, not the row)
+// A row "updates" the nearest probable duplicate (same normalized name within
+// DUPLICATE_RADIUS_M, see restaurants.js); otherwise it inserts a new restaurant.
+// Rows with the same name are written one after another, so a second row for a restaurant
+// the batch itself inserts merges into it instead of inserting a twin.
+// In dry-run mode nothing is written; inserted/updated tell what *would* happen.
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+
+function parseBoolField(val) {
+  if (val === true || val === false) return val;
+  if (val === undefined || val === null) return false;
+  const s = String(val).trim().toLowerCase();
+  if (s === '' || s === 'false' || s === '0' || s === 'no' || s === 'n') return false;
+  if (s === 'true' || s === '1' || s === 'yes' || s === 'y') return true;
+  return null; // not a boolean
+}
+
+// Returns { fields } or { errors: [...] }. knownTags is a Set of the taxonomy's slugs.
+function validateRow(row, knownTags) {
+  const errors = [];
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: ['row must be an object'] };
+  }
+
+  const name = typeof row.name === 'string' ? row.name.trim() : '';
+  const address = typeof row.address === 'string' ? row.address.trim() : '';
+  if (!name) errors.push('name is required');
+  if (!address) errors.push('address is required');
+
+  for (const field of LEGACY_TAG_FIELDS) {
+    if (parseBoolField(row[field]) === null) {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const tags = tagsFromBody(row, parseBoolField);
+  for (const tag of tags || []) {
+    if (!knownTags.has(tag)) {
+      errors.push(`Unknown tag: ${tag}`);
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { fields: { name, address, tags } };
+}
+
+// Run fn over items with at most `limit` promises in flight, preserving order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+// Distance in meters between two { lon, lat } points (haversine; plenty for DUPLICATE_RADIUS_M)
+function distanceMeters(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+// Run fn after every earlier call with the same key has settled (per-key queue)
+function runInOrder(queues, key, fn) {
+  const run = (queues.get(key) || Promise.resolve()).then(fn);
+  queues.set(key, run.catch(() => {}));
+  return run;
+}
+
+async function importRow(row, idx, { client, geocoder, dryRun, knownTags, nameQueues, plannedInserts }) {
+  const result = { row: idx + 1, name: row && row.name };
+
+  // A) Validate
+  const { fields, errors } = validateRow(row, knownTags);
+  if (errors) {
+    return { ...result, status: 'validation_failed', errors };
+  }
+
+  // B) Geocode
+  let found;
+  try {
+    found = await geocoder.geocode(fields.address);
+  } catch (err) {
+    return { ...result, status: 'geocode_failed', error: err.message };
+  }
+  const { candidate, candidates } = pickCandidate(found, row.candidate_index);
+  if (candidates) {
+    return {
+      ...result,
+      status: 'geocode_failed',
+      error: 'Address matches multiple locations; set candidate_index',
+      candidates
+    };
+  }
+  if (!candidate) {
+    return { ...result, status: 'geocode_failed', error: 'No results for that address' };
+  }
+
+  // C) Write (or just look up what would happen), after earlier rows with the same name
+  const nameKey = compact(fields.name);
+  return runInOrder(nameQueues, nameKey, async () => {
+    const duplicates = await findDuplicates(client, fields.name, candidate);
+    const location = { lon: candidate.lon, lat: candidate.lat };
+
+    if (duplicates.length > 0) {
+      const id = duplicates[0].id;
+      if (!dryRun) {
+        await updateRestaurant(client, id, fields, candidate);
+      }
+      return { ...result, status: 'updated', id, ...(dryRun ? location : {}) };
+    }
+
+    if (dryRun) {
+      // Nothing was inserted, so look for an earlier row of this batch that would have been
+      const planned = (plannedInserts.get(nameKey) || [])
+        .find((p) => distanceMeters(p, location) <= DUPLICATE_RADIUS_M);
+      if (planned) {
+        return { ...result, status: 'updated', same_as_row: planned.row, ...location };
+      }
+      plannedInserts.set(nameKey, [...(plannedInserts.get(nameKey) || []), { ...location, row: result.row }]);
+      return { ...result, status: 'inserted', ...location };
+    }
+    const id = await insertRestaurant(client, fields, candidate);
+    return { ...result, status: 'inserted', id };
+  });
+}
+
+async function importRestaurants(rows, { client, geocoder, dryRun = false, concurrency = DEFAULT_CONCURRENCY }) {
+  const limit = Math.max(1, Math.min(parseInt(concurrency, 10) || DEFAULT_CONCURRENCY, MAX_CONCURRENCY));
+  const knownTags = new Set(await listTagSlugs(client));
+  const context = { client, geocoder, dryRun, knownTags, nameQueues: new Map(), plannedInserts: new Map() };
+
+  const results = await mapWithConcurrency(rows, limit, async (row, idx) => {
+    try {
+      return await importRow(row, idx, context);
+    } catch (err) {
+      // A DB error on one row shouldn't abort the rest of the batch, but it isn't the row's fault
+      console.error(`Import row ${idx + 1} failed:`, err);
+      return { row: idx + 1, name: row && row.name, status: 'error', error: err.message };
+    }
+  });
+
+  const summary = { inserted: 0, updated: 0, geocode_failed: 0, validation_failed: 0, error: 0 };
+  for (const r of results) {
+    summary[r.status]++;
+  }
+
+  return { dry_run: dryRun, total: rows.length, summary, results };
+}
+
+module.exports = {
+  parseBoolField,
+  validateRow,
+  mapWithConcurrency,
+  importRestaurants
+};
@@ -0,0 +1,239 @@
+const { PLACE_COLUMNS, placeValues } = require('./geocoder');
+const { buildTagConditions } = require('./tags');
+
+// Restaurant persistence shared by the HTTP routes and the bulk importer.
+// Dietary / accessibility attributes are tag slugs in restaurants.tags (see tags.js).
+
+// Korean administrative levels stored on every restaurant (from the geocoder),
+// keyed by the names used in query strings
+const REGION_LEVELS = {
+  si_do: '"si/do"',                   // e.g. "서울"
+  si_gun_gu: '"si/gun/gu"',           // e.g. "용산구"
+  eup_myeon_dong: '"eup/myeon/dong"'  // e.g. "한남동"
+};
+
+// Restaurants are keyed by id: two branches of a chain may share a name.
+// (This replaces the old UNIQUE (name) constraint:
+//    ALTER TABLE restaurants DROP CONSTRAINT restaurants_name_key;)
+// A "probable duplicate" is a restaurant whose normalized name matches and whose
+// geom lies within DUPLICATE_RADIUS_M of the new location.
+const DUPLICATE_RADIUS_M = 50;
+
+// Names are compared lower-cased with whitespace and punctuation removed,
+// so "Halal Kitchen", "halal-kitchen" and "HALAL  KITCHEN" all match.
+function normalizedNameSql(expr) {
+  return `lower(regexp_replace(${expr}, '[[:space:][:punct:]]+', '', 'g'))`;
+}
+
+// Columns returned by the listing and detail routes
+const RESTAURANT_COLUMNS_SQL = `
+  id,
+  name,
+  tags,
+  full_address,
+  ST_X(geom::geometry) AS lon,
+  ST_Y(geom::geometry) AS lat
+`;
+
+// Restaurants with the same normalized name within DUPLICATE_RADIUS_M of place, nearest first.
+// excludeId skips the restaurant being edited.
+async function findDuplicates(client, name, place, excludeId = null) {
+  const sql = `
+    SELECT
+      id,
+      name,
+      full_address,
+      ST_Distance(geom, ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography) AS distance_m
+    FROM restaurants
+    WHERE ${normalizedNameSql('name')} = ${normalizedNameSql('$1')}
+      AND ST_DWithin(geom, ST_SetSRID(ST_MakePoint($2, $3), 4326)::geography, $4)
+      AND ($5::int IS NULL OR id <> $5)
+    ORDER BY distance_m ASC
+  `;
+  const { rows } = await client.query(sql, [name, place.lon, place.lat, DUPLICATE_RADIUS_M, excludeId]);
+  return rows;
+}
+
+// Insert a new restaurant.
+//   fields: { name, address, tags }
+//   place:  a geocoder candidate { siDo, siGunGu, eupMyeonDong, postalCode, roadName, lon, lat }
+// Resolves to the new id.
+async function insertRestaurant(client, fields, place) {
+  const insertSql = `
+    INSERT INTO restaurants (
+      name,
+      tags,
+      "si/do",
+      "si/gun/gu",
+      "eup/myeon/dong",
+      "postal code",
+      "road name",
+      full_address,
+      geom
+    )
+    VALUES (
+      $1, $2,
+      $3, $4, $5, $6, $7, $8,
+      ST_SetSRID(ST_MakePoint($9, $10), 4326)::geography
+    )
+    RETURNING id
+  `;
+
+  const values = [
+    fields.name,
+    fields.tags || [],
+    ...placeValues(place),
+    fields.address,
+    place.lon,
+    place.lat
+  ];
+
+  const { rows } = await client.query(insertSql, values);
+  return rows[0].id;
+}
+
+// Partially update a restaurant.
+//   fields: any of { name, tags } (undefined = leave as is),
+//           plus address when place is given
+//   place:  new geocoder candidate, or null to keep the current location
+// Resolves to the updated id, or null if there is no such restaurant.
+async function updateRestaurant(client, id, fields, place = null) {
+  const sets = [];
+  const values = [];
+
+  for (const col of ['name', 'tags']) {
+    if (fields[col] !== undefined) {
+      values.push(fields[col]);
+      sets.push(`${col} = $${values.length}`);
+    }
+  }
+
+  if (place) {
+    placeValues(place).forEach((val, idx) => {
+      values.push(val);
+      sets.push(`${PLACE_COLUMNS[idx]} = $${values.length}`);
+    });
+    values.push(fields.address);
+    sets.push(`full_address = $${values.length}`);
+    values.push(place.lon, place.lat);
+    sets.push(`geom = ST_SetSRID(ST_MakePoint($${values.length - 1}, $${values.length}), 4326)::geography`);
+  }
+
+  if (sets.length === 0) {
+    const { rows } = await client.query('SELECT id FROM restaurants WHERE id = $1', [id]);
+    return rows.length > 0 ? rows[0].id : null;
+  }
+
+  values.push(id);
+  const { rows } = await client.query(
+    `UPDATE restaurants SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING id`,
+    values
+  );
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+// Reviews: diners rate a restaurant and confirm or dispute its dietary claims.
+//   restaurant_reviews (
+//     id            SERIAL PRIMARY KEY,
+//     restaurant_id INT NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+//     author_id     INT NOT NULL REFERENCES users(id),
+//     rating        SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+//     text          TEXT,
+//     created_at    TIMESTAMP DEFAULT NOW(),
+//     updated_at    TIMESTAMP DEFAULT NOW(),
+//     UNIQUE (restaurant_id, author_id)
+//   )
+//   restaurant_review_claims (
+//     review_id     INT NOT NULL REFERENCES restaurant_reviews(id) ON DELETE CASCADE,
+//     attribute     TEXT NOT NULL,      -- a tag slug, e.g. 'halal'
+//     confirms      BOOLEAN NOT NULL,   -- true = confirmed, false = disputed
+//     PRIMARY KEY (review_id, attribute)
+//   )
+//
+// Joins that add avg_rating, review_count and claim_votes ({ halal: { confirms, disputes } })
+// to a query over "restaurants"; pass the rows through withClaimConfidence afterwards.
+const REVIEW_SUMMARY_JOINS_SQL = `
+  LEFT JOIN LATERAL (
+    SELECT
+      ROUND(AVG(rv.rating)::numeric, 2)::float AS avg_rating,
+      COUNT(*)::int AS review_count
+    FROM restaurant_reviews rv
+    WHERE rv.restaurant_id = restaurants.id
+  ) review_summary ON true
+  LEFT JOIN LATERAL (
+    SELECT json_object_agg(t.attribute, json_build_object('confirms', t.confirms, 'disputes', t.disputes)) AS claim_votes
+    FROM (
+      SELECT
+        rc.attribute,
+        COUNT(*) FILTER (WHERE rc.confirms) AS confirms,
+        COUNT(*) FILTER (WHERE NOT rc.confirms) AS disputes
+      FROM restaurant_review_claims rc
+      JOIN restaurant_reviews rv ON rv.id = rc.review_id
+      WHERE rv.restaurant_id = restaurants.id
+      GROUP BY rc.attribute
+    ) t
+  ) claim_summary ON true
+`;
+const REVIEW_SUMMARY_COLUMNS_SQL = 'review_summary.avg_rating, review_summary.review_count, claim_summary.claim_votes';
+
+// Lower bound of the 95% Wilson score interval for positive/total.
+// Unlike a plain ratio, 1 confirmation out of 1 scores far lower than 40 out of 42.
+function wilsonLowerBound(positive, total) {
+  if (total === 0) return 0;
+  const z = 1.96;
+  const p = positive / total;
+  const denom = 1 + (z * z) / total;
+  const centre = p + (z * z) / (2 * total);
+  const margin = z * Math.sqrt((p * (1 - p) + (z * z) / (4 * total)) / total);
+  return (centre - margin) / denom;
+}
+
+// Replace claim_votes with claim_confidence: { halal: { confirms, disputes, confidence } }
+// for every tag the restaurant claims or that has votes. confidence is 0..1.
+function withClaimConfidence(row) {
+  const { claim_votes: votes, ...rest } = row;
+  const claimConfidence = {};
+  const attributes = new Set([...(row.tags || []), ...Object.keys(votes || {})]);
+
+  for (const attribute of attributes) {
+    const v = (votes && votes[attribute]) || { confirms: 0, disputes: 0 };
+    claimConfidence[attribute] = {
+      confirms: v.confirms,
+      disputes: v.disputes,
+      confidence: Math.round(wilsonLowerBound(v.confirms, v.confirms + v.disputes) * 1000) / 1000
+    };
+  }
+
+  return { ...rest, claim_confidence: claimConfidence };
+}
+
+// Build the WHERE conditions shared by every restaurant listing:
+//   ?name=   partial, case-insensitive name match
+//   ?tags_all= / ?tags_any= / ?tags_none= (and legacy ?halal=true etc., see tags.js)
+// Placeholder values are appended to `values`; returns the array of SQL conditions.
+function buildRestaurantFilters(query, values) {
+  const conditions = [];
+
+  if (query.name) {
+    conditions.push(`name ILIKE $${values.length + 1}`);
+    values.push(`%${query.name}%`);
+  }
+
+  conditions.push(...buildTagConditions(query, values, 'tags'));
+
+  return conditions;
+}
+
+module.exports = {
+  REGION_LEVELS,
+  DUPLICATE_RADIUS_M,
+  RESTAURANT_COLUMNS_SQL,
+  REVIEW_SUMMARY_JOINS_SQL,
+  REVIEW_SUMMARY_COLUMNS_SQL,
+  wilsonLowerBound,
+  withClaimConfidence,
+  findDuplicates,
+  insertRestaurant,
+  updateRestaurant,
+  buildRestaurantFilters
+};
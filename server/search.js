@@ -0,0 +1,298 @@
+// Full-text search over community posts and comments.
+//
+//   post_search (
+//     post_id  INT PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+//     document TSVECTOR NOT NULL   -- title weighted A, content B
+//   )
+//   comment_search (
+//     comment_id INT PRIMARY KEY REFERENCES comments(id) ON DELETE CASCADE,
+//     document   TSVECTOR NOT NULL
+//   )
+//   CREATE INDEX post_search_idx ON post_search USING GIN (document);
+//   CREATE INDEX comment_search_idx ON comment_search USING GIN (document);
+//
+// Postgres has no Korean dictionary, and particles stick to words ("부산에서", "부산의"), so Hangul
+// is indexed as character bigrams (plus single syllables, so "닭" finds "닭고기") and everything else
+// as lower-cased words. Tokens are made here and stored as tsvector literals with positions,
+// bypassing any text search config (setweight ignores lexemes without positions, and ts_rank needs
+// the weights to rank title hits above body hits).
+// Queries drop trailing particles ("부산에서" -> "부산"), question words and one-character tokens,
+// then match documents containing all remaining tokens; when none do, any of them, best ranked first.
+// Documents are kept separate from posts/comments so SELECT p.* / c.* don't carry the vectors;
+// the routes call indexPost / indexComment after each write (backfill-search.js for older rows).
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 200;
+const SNIPPET_CONTEXT = 60; // characters shown before the first match
+
+const MAX_POSITION = 16383; // tsvector positions stop here
+
+// Particles stripped from the end of query words, longest first
+const PARTICLES = [
+  '에서는', '에서', '에게', '까지', '부터', '이랑', '하고', '으로', '처럼', '보다',
+  '의', '은', '는', '이', '가', '을', '를', '에', '와', '과', '도', '만', '로', '랑'
+];
+// Question and filler words that say nothing about the topic
+const STOP_WORDS = new Set([
+  '어디', '어디서', '어디에', '어디가', '뭐', '무엇', '어떻게', '언제', '누가', '왜', '있나요', '있어요',
+  '사요', '파나요', '팔아요', '좀', '혹시', '아시는',
+  'the', 'in', 'at', 'on', 'of', 'to', 'for', 'and', 'or', 'is', 'are', 'where', 'what', 'how', 'can'
+]);
+
+const HANGUL = /\p{Script=Hangul}/u;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// "KFC치킨 in 부산!" -> ["kfc", "치킨", "in", "부산"]: Hangul runs and other letter/digit runs
+function searchWords(text) {
+  const words = String(text || '').normalize('NFC').toLowerCase()
+    .match(/\p{Script=Hangul}+|(?:(?!\p{Script=Hangul})[\p{L}\p{N}])+/gu);
+  return words || [];
+}
+
+// Tokens for indexing (withUnigrams) or querying
+function searchTokens(text, withUnigrams) {
+  const tokens = new Set();
+  for (const word of searchWords(text)) {
+    const chars = [...word];
+    if (!HANGUL.test(word) || chars.length === 1) {
+      tokens.add(word);
+      continue;
+    }
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.add(chars[i] + chars[i + 1]);
+    }
+    if (withUnigrams) {
+      chars.forEach((ch) => tokens.add(ch));
+    }
+  }
+  return [...tokens];
+}
+
+// "부산에서" -> "부산": a trailing particle goes if at least two syllables remain.
+// Stripping only ever removes bigrams, so it can't make a query miss what the full word matches.
+function stripParticle(word) {
+  const chars = [...word];
+  for (const particle of PARTICLES) {
+    if (word.endsWith(particle) && chars.length - particle.length >= 2) {
+      return word.slice(0, -particle.length);
+    }
+  }
+  return word;
+}
+
+// The tokens of a query worth searching for: particles and stop words dropped, and one-character
+// tokens too unless nothing else is left (so "닭" alone still works)
+function queryTokens(q) {
+  const allWords = searchWords(q);
+  const topical = allWords.filter((w) => !STOP_WORDS.has(w));
+  const words = topical.length > 0 ? topical : allWords;
+  const tokens = searchTokens(words.map((w) => (HANGUL.test(w) ? stripParticle(w) : w)).join(' '), false);
+  const longer = tokens.filter((t) => [...t].length > 1);
+  return longer.length > 0 ? longer : tokens;
+}
+
+// Query text -> tsquery text, or null if it has nothing searchable.
+//   mode 'all': every token ("'부산' & '할랄'"); 'any': at least one ("'부산' | '할랄'")
+// Tokens are letters and digits only, so quoting them is enough.
+function buildTsQuery(q, mode = 'all') {
+  const tokens = queryTokens(q);
+  if (tokens.length === 0) return null;
+  return tokens.map((t) => `'${t}'`).join(mode === 'any' ? ' | ' : ' & ');
+}
+
+// Tokens -> tsvector text with a position per token ("'부산':1 '할랄':2").
+// Tokens are letters and digits only, so quoting them is enough.
+function positionedVector(tokens) {
+  return tokens.map((t, idx) => `'${t}':${Math.min(idx + 1, MAX_POSITION)}`).join(' ');
+}
+
+// ?from= / ?to= filters: a real calendar date as YYYY-MM-DD
+function isSearchDate(val) {
+  if (typeof val !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(val)) return false;
+  const date = new Date(`${val}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === val;
+}
+
+async function indexPost(client, post) {
+  const sql = `
+    INSERT INTO post_search (post_id, document)
+    VALUES ($1, setweight($2::tsvector, 'A') || setweight($3::tsvector, 'B'))
+    ON CONFLICT (post_id) DO UPDATE SET document = EXCLUDED.document
+  `;
+  await client.query(sql, [
+    post.id,
+    positionedVector(searchTokens(post.title, true)),
+    positionedVector(searchTokens(post.content, true))
+  ]);
+}
+
+async function indexComment(client, comment) {
+  const sql = `
+    INSERT INTO comment_search (comment_id, document)
+    VALUES ($1, setweight($2::tsvector, 'B'))
+    ON CONFLICT (comment_id) DO UPDATE SET document = EXCLUDED.document
+  `;
+  await client.query(sql, [comment.id, positionedVector(searchTokens(comment.text, true))]);
+}
+
+// For comments that became "[deleted]" placeholders (hard deletes cascade)
+async function unindexComment(client, commentId) {
+  await client.query('DELETE FROM comment_search WHERE comment_id = $1', [commentId]);
+}
+
+function escapeHtml(str) {
+  return str.replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Up to SNIPPET_LENGTH characters of text around the first match, HTML-escaped, with the query's
+// words wrapped in <mark>. Without a match it's the start of the text.
+function buildSnippet(text, q) {
+  const source = String(text || '');
+  const lower = source.toLowerCase();
+  const words = searchWords(q);
+
+  // 1) Match ranges, merged (skipped if lower-casing changed the length, e.g. "İ")
+  let ranges = [];
+  if (lower.length === source.length) {
+    for (const word of words) {
+      const wholeWord = !HANGUL.test(word); // other words are indexed whole, so match them whole
+      for (let at = lower.indexOf(word); at !== -1; at = lower.indexOf(word, at + word.length)) {
+        const end = at + word.length;
+        if (wholeWord && (WORD_CHAR.test(lower.charAt(at - 1)) || WORD_CHAR.test(lower.charAt(end)))) continue;
+        ranges.push([at, end]);
+      }
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  ranges = ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+
+  // 2) Window around the first match
+  const start = ranges.length > 0 ? Math.max(0, ranges[0][0] - SNIPPET_CONTEXT) : 0;
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+
+  // 3) Escape and mark
+  let out = start > 0 ? '…' : '';
+  let pos = start;
+  for (const [from, to] of ranges) {
+    if (to <= start) continue;
+    if (from >= end) break;
+    const markFrom = Math.max(from, start);
+    const markTo = Math.min(to, end);
+    out += escapeHtml(source.slice(pos, markFrom)) + '<mark>' + escapeHtml(source.slice(markFrom, markTo)) + '</mark>';
+    pos = markTo;
+  }
+  out += escapeHtml(source.slice(pos, end));
+  return end < source.length ? out + '…' : out;
+}
+
+// Search posts and comments.
+//   filters: { type: 'post' | 'comment' | undefined, subcat, author (username), from, to }
+// Resolves to { items, next_offset, match }; match is 'all' when results contain every query
+// token, 'any' when nothing did and results contain at least one. Items are ranked best first:
+//   { type, id, post_id, post_title, subcategory_id, subcat_name, author_name, created_at, rank,
+//     title_snippet (posts only), snippet }
+async function searchCommunity(client, q, filters, { limit, offset }) {
+  // The mode is decided on the whole result set, not the page, so later pages stay in one mode
+  let match = 'all';
+  let rows = await queryCommunity(client, buildTsQuery(q, 'all'), filters, limit, offset);
+  if (rows.length === 0) {
+    // Past the last 'all' page is just the end; only an 'all' search with no results falls back
+    const pastAllResults = offset > 0 &&
+      (await queryCommunity(client, buildTsQuery(q, 'all'), filters, 1, 0)).length > 0;
+    if (!pastAllResults) {
+      match = 'any';
+      rows = await queryCommunity(client, buildTsQuery(q, 'any'), filters, limit, offset);
+    }
+  }
+
+  const items = rows.slice(0, limit).map(({ body, ...row }) => {
+    const item = { ...row, rank: Math.round(row.rank * 1000) / 1000, snippet: buildSnippet(body, q) };
+    if (row.type === 'post') {
+      item.title_snippet = buildSnippet(row.post_title, q);
+    }
+    return item;
+  });
+  return {
+    items,
+    next_offset: rows.length > limit ? offset + limit : null,
+    match
+  };
+}
+
+// One page (plus one row, to tell if there's more) of posts and comments matching tsquery
+async function queryCommunity(client, tsquery, filters, limit, offset) {
+  const values = [tsquery];
+
+  // Same filters on both halves; $n placeholders are shared, columns differ per half
+  const filterParams = {};
+  for (const key of ['subcat', 'author', 'from', 'to']) {
+    if (filters[key] !== undefined) {
+      values.push(filters[key]);
+      filterParams[key] = `$${values.length}`;
+    }
+  }
+  function filterSql(createdAt) {
+    const conditions = [];
+    if (filterParams.subcat) conditions.push(`p.subcategory_id = ${filterParams.subcat}`);
+    if (filterParams.author) conditions.push(`LOWER(u.username) = LOWER(${filterParams.author}::text)`);
+    if (filterParams.from) conditions.push(`${createdAt} >= ${filterParams.from}::timestamp`);
+    if (filterParams.to) conditions.push(`${createdAt} < ${filterParams.to}::timestamp`);
+    return conditions.map((c) => ` AND ${c}`).join('');
+  }
+
+  const postSql = `
+    SELECT 'post' AS type, p.id, p.id AS post_id, p.title AS post_title, p.subcategory_id,
+           sc.name AS subcat_name, u.username AS author_name, p.created_at,
+           p.content AS body, ts_rank(ps.document, $1::tsquery) AS rank
+    FROM post_search ps
+    JOIN posts p ON p.id = ps.post_id
+    JOIN users u ON u.id = p.author_id
+    LEFT JOIN subcategories sc ON sc.id = p.subcategory_id
+    WHERE ps.document @@ $1::tsquery${filterSql('p.created_at')}
+  `;
+  const commentSql = `
+    SELECT 'comment' AS type, c.id, c.post_id, p.title AS post_title, p.subcategory_id,
+           sc.name AS subcat_name, u.username AS author_name, c.created_at,
+           c.text AS body, ts_rank(cs.document, $1::tsquery) AS rank
+    FROM comment_search cs
+    JOIN comments c ON c.id = cs.comment_id
+    JOIN posts p ON p.id = c.post_id
+    JOIN users u ON u.id = c.author_id
+    LEFT JOIN subcategories sc ON sc.id = p.subcategory_id
+    WHERE cs.document @@ $1::tsquery AND c.deleted_at IS NULL${filterSql('c.created_at')}
+  `;
+  const parts = [];
+  if (filters.type !== 'comment') parts.push(postSql);
+  if (filters.type !== 'post') parts.push(commentSql);
+
+  values.push(limit + 1, offset);
+  const sql = `
+    ${parts.join(' UNION ALL ')}
+    ORDER BY rank DESC, created_at DESC
+    LIMIT $${values.length - 1} OFFSET $${values.length}
+  `;
+  const { rows } = await client.query(sql, values);
+  return rows;
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  searchTokens,
+  queryTokens,
+  buildTsQuery,
+  positionedVector,
+  isSearchDate,
+  buildSnippet,
+  indexPost,
+  indexComment,
+  unindexComment,
+  searchCommunity
+};
@@ -1,9 +1,116 @@
 const express = require('express');
-const axios = require('axios');
 const { Client } = require('pg');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const { createGeocoder, pickCandidate } = require('./geocoder');
+const {
+  REGION_LEVELS,
+  DUPLICATE_RADIUS_M,
+  RESTAURANT_COLUMNS_SQL,
+  REVIEW_SUMMARY_JOINS_SQL,
+  REVIEW_SUMMARY_COLUMNS_SQL,
+  withClaimConfidence,
+  findDuplicates,
+  insertRestaurant,
+  updateRestaurant,
+  buildRestaurantFilters
+} = require('./restaurants');
+const { importRestaurants } = require('./restaurant-import');
+const { parseCsv } = require('./csv');
+const { negotiateFormat, sendRestaurants } = require('./restaurant-export');
+const {
+  normalizeSchedule,
+  parseStoreHours,
+  openAtConditionSql,
+  saveSchedule,
+  loadSchedule
+} = require('./opening-hours');
+const {
+  LEGACY_TAG_FIELDS,
+  SLUG_PATTERN,
+  parseTagList,
+  invalidTagFields,
+  tagsFromBody,
+  findUnknownTags,
+  listTagSlugs,
+  localizeTag
+} = require('./tags');
+const {
+  STORE_COLUMNS_SQL,
+  parseNameAliases,
+  insertStore,
+  updateStore,
+  escapeLike,
+  searchStores
+} = require('./stores');
+const {
+  endsAtSql,
+  discountStatusSql,
+  RUNNING_STATUSES,
+  buildDiscountEventFilters,
+  parseNearby,
+  DISCOUNT_EVENT_SORTS,
+  resolveSort,
+  encodeCursor,
+  decodeCursor,
+  cursorConditionSql,
+  EDITABLE_EVENT_COLUMNS,
+  validateDiscountEvent,
+  replaceDiscountEvent,
+  refreshReviewStats,
+  startArchiveJob
+} = require('./discount-events');
+const {
+  isModOrAdmin,
+  canManageStore,
+  getStoreOwner,
+  authorizeStoreEdit,
+  approveClaim
+} = require('./store-ownership');
+const { createStorage } = require('./storage');
+const {
+  MAX_UPLOAD_BYTES,
+  saveUploadedImage,
+  deleteOrphanedImages,
+  startOrphanSweepJob
+} = require('./images');
+const {
+  MAX_SAVED_SEARCHES,
+  normalizeSearchQuery,
+  notifySavedSearches,
+  createAlertChannels
+} = require('./alerts');
+const {
+  DEFAULT_ANALYTICS_DAYS,
+  MAX_ANALYTICS_DAYS,
+  listStoreItems,
+  priceHistory,
+  pricePercentile,
+  storeAnalytics
+} = require('./deal-analytics');
+const {
+  MAX_COMMENT_DEPTH,
+  DEFAULT_COLLAPSE_DEPTH,
+  COMMENT_SORTS,
+  maskDeleted,
+  parseCommentId,
+  resolveParent,
+  buildCommentTree,
+  deleteComment
+} = require('./comment-tree');
+const { parseVote, myVoteSql, castVote } = require('./votes');
+const { parseRanking } = require('./ranking');
+const {
+  MAX_QUERY_LENGTH,
+  buildTsQuery,
+  isSearchDate,
+  indexPost,
+  indexComment,
+  unindexComment,
+  searchCommunity
+} = require('./search');
 
 const app = express();
 const PORT = 3000;
@@ -24,143 +131,119 @@ client.connect();
 // 3) Kakao REST API Key
 const KAKAO_REST_API_KEY = 'e827a92304992a479b2fa3c6bd3bf5ad';
 
-// Helper function to parse Kakao doc
-function parseKakaoDoc(doc) {
-  const road = doc.road_address;
-  const addr = doc.address;
-
-  let siDo, siGunGu, eupMyeonDong, postalCode, roadName, lon, lat;
-
-  if (road) {
-    siDo         = road.region_1depth_name;   // e.g. "인천"
-    siGunGu      = road.region_2depth_name;   // e.g. "남동구"
-    eupMyeonDong = road.region_3depth_name;   // e.g. "논현동"
-    postalCode   = road.zone_no;              // e.g. "21657"
-    roadName     = road.road_name + ' ' + (road.main_building_no || '');
-    lon = parseFloat(road.x);
-    lat = parseFloat(road.y);
-  } else {
-    // fallback to 'address' if no road_address
-    siDo         = addr.region_1depth_name;
-    siGunGu      = addr.region_2depth_name;
-    eupMyeonDong = addr.region_3depth_name;
-    postalCode   = '';
-    roadName     = '';
-    lon = parseFloat(addr.x);
-    lat = parseFloat(addr.y);
-  }
-
-  return {
-    siDo,
-    siGunGu,
-    eupMyeonDong,
-    postalCode,
-    roadName,
-    lon,
-    lat
-  };
+// Upper bound for ?limit= on GET /api/restaurants
+const MAX_RESTAURANT_LIMIT = 500;
+
+// Vector tiles: zooms below CLUSTER_MAX_ZOOM are clustered on a TILE_CLUSTER_GRID x TILE_CLUSTER_GRID grid
+const MAX_TILE_ZOOM = 22;
+const CLUSTER_MAX_ZOOM = 15;
+const TILE_CLUSTER_GRID = 64;
+
+// How often expired discount events are archived (see discount-events.js)
+const DISCOUNT_ARCHIVE_INTERVAL_MS = 15 * 60 * 1000;
+
+// Upper bound for ?limit= on GET /api/discount-events
+const MAX_DISCOUNT_EVENT_LIMIT = 200;
+
+// Upper bound for ?limit= on GET /api/stores?q=
+const MAX_STORE_SEARCH_LIMIT = 100;
+const DEFAULT_TRENDING_LIMIT = 10;
+const MAX_TRENDING_LIMIT = 50;
+const MAX_COMMUNITY_SEARCH_LIMIT = 50;
+
+// Uploaded images: local disk by default (see storage.js); orphans are swept hourly (see images.js)
+const storage = createStorage();
+const IMAGE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Where deal alerts go besides the in-app inbox (see alerts.js)
+const alertChannels = createAlertChannels();
+if (storage.localDir) {
+  app.use(storage.publicPath, express.static(storage.localDir, { maxAge: '30d', immutable: true }));
 }
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
 
-// 4) POST /api/restaurants - upsert with Kakao geocoding
-app.post('/api/restaurants', async (req, res) => {
+// Geocoder: Kakao (cached in geocode_cache) by default, GEOCODER=fixture for offline use
+const geocoder = createGeocoder({ client, kakaoApiKey: KAKAO_REST_API_KEY });
+
+// 4) POST /api/restaurants - create with geocoding
+// If the address matches several locations, responds 409 with { candidates };
+// resend the same body with "candidate_index" set to the chosen entry.
+// If a restaurant with the same (normalized) name already exists within DUPLICATE_RADIUS_M,
+// "on_duplicate" decides what happens:
+//   "warn"   (default) -> 409 with { duplicates: [{ id, name, full_address, distance_m }] }
+//   "merge"  -> update the nearest duplicate with this body instead of inserting
+//               (moderators/admins only, like PATCH; anyone else gets 403)
+//   "ignore" -> insert a new restaurant anyway
+// Attributes go in "tags" (slugs from /api/tags); the old booleans (halal: true, ...) still work.
+app.post('/api/restaurants', optionalAuth, async (req, res) => {
   try {
     const {
       name,
       address, // full address
-      english_speaking,
-      vegan,
-      vegetarian,
-      no_pork,
-      halal,
-      no_beef,
-      gluten_free,
-      allows_foreigners
+      candidate_index,
+      on_duplicate = 'warn'
     } = req.body;
 
-    // A) Call Kakao geocoding
-    const kakaoUrl = 'https://dapi.kakao.com/v2/local/search/address.json';
-    const headers = { Authorization: `KakaoAK ${KAKAO_REST_API_KEY}` };
-    const params = { query: address };
+    if (!name || !address) {
+      return res.status(400).json({ message: 'Missing name or address' });
+    }
+    if (!['warn', 'merge', 'ignore'].includes(on_duplicate)) {
+      return res.status(400).json({ message: 'on_duplicate must be one of warn, merge, ignore' });
+    }
+    if (on_duplicate === 'merge' && !(req.user && isModOrAdmin(req.user))) {
+      return res.status(403).json({ message: 'Forbidden: only mods or admins can merge into an existing restaurant' });
+    }
+    const invalidFields = invalidTagFields(req.body);
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        message: `${invalidFields.join(', ')}: tags must be a list and dietary fields true or false`
+      });
+    }
 
-    const response = await axios.get(kakaoUrl, { headers, params });
-    const docs = response.data.documents;
-    
-    if (!docs || docs.length === 0) {
-      return res.status(400).json({ message: 'Kakao: No results for that address' });
+    const tags = tagsFromBody(req.body);
+    const unknownTags = await findUnknownTags(client, tags || []);
+    if (unknownTags.length > 0) {
+      return res.status(400).json({ message: `Unknown tags: ${unknownTags.join(', ')}` });
     }
 
-    // B) Parse the first doc
-    const parsed = parseKakaoDoc(docs[0]);
-    const { siDo, siGunGu, eupMyeonDong, postalCode, roadName, lon, lat } = parsed;
+    // A) Geocode (cached; Kakao address search with keyword fallback)
+    const found = await geocoder.geocode(address);
 
-    // C) Upsert into "restaurants"
-    //    On conflict (name) => update
-    const upsertSql = `
-      INSERT INTO restaurants (
-        name,
-        english_speaking,
-        vegan,
-        vegetarian,
-        no_pork,
-        halal,
-        no_beef,
-        gluten_free,
-        allows_foreigners,
-        "si/do",
-        "si/gun/gu",
-        "eup/myeon/dong",
-        "postal code",
-        "road name",
-        full_address,
-        geom
-      )
-      VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9,
-        $10, $11, $12, $13, $14, $15,
-        ST_SetSRID(ST_MakePoint($16, $17), 4326)::geography
-      )
-      ON CONFLICT (name)
-      DO UPDATE SET
-        english_speaking = EXCLUDED.english_speaking,
-        vegan = EXCLUDED.vegan,
-        vegetarian = EXCLUDED.vegetarian,
-        no_pork = EXCLUDED.no_pork,
-        halal = EXCLUDED.halal,
-        no_beef = EXCLUDED.no_beef,
-        gluten_free = EXCLUDED.gluten_free,
-        allows_foreigners = EXCLUDED.allows_foreigners,
-        "si/do" = EXCLUDED."si/do",
-        "si/gun/gu" = EXCLUDED."si/gun/gu",
-        "eup/myeon/dong" = EXCLUDED."eup/myeon/dong",
-        "postal code" = EXCLUDED."postal code",
-        "road name" = EXCLUDED."road name",
-        full_address = EXCLUDED.full_address,
-        geom = EXCLUDED.geom
-      RETURNING id
-    `;
+    // B) Pick the candidate, or let the client disambiguate
+    const { candidate, candidates } = pickCandidate(found, candidate_index);
+    if (candidates) {
+      return res.status(409).json({
+        message: 'Address matches multiple locations; resend with candidate_index',
+        candidates
+      });
+    }
+    if (!candidate) {
+      return res.status(400).json({ message: 'Geocoder: No results for that address' });
+    }
 
-    const values = [
-      name,
-      english_speaking,
-      vegan,
-      vegetarian,
-      no_pork,
-      halal,
-      no_beef,
-      gluten_free,
-      allows_foreigners,
-      siDo,
-      siGunGu,
-      eupMyeonDong,
-      postalCode,
-      roadName,
-      address,
-      lon,
-      lat
-    ];
+    const fields = { name, address, tags };
+
+    // C) Same name close by? Warn or merge instead of silently creating a twin
+    if (on_duplicate !== 'ignore') {
+      const duplicates = await findDuplicates(client, name, candidate);
+      if (duplicates.length > 0) {
+        if (on_duplicate === 'warn') {
+          return res.status(409).json({
+            message: `A restaurant with this name already exists within ${DUPLICATE_RADIUS_M}m; ` +
+              'resend with on_duplicate=ignore, or on_duplicate=merge as a mod/admin',
+            duplicates
+          });
+        }
+        const mergedId = await updateRestaurant(client, duplicates[0].id, fields, candidate);
+        return res.json({ success: true, id: mergedId, merged: true });
+      }
+    }
 
-    const upsertRes = await client.query(upsertSql, values);
-    const newId = upsertRes.rows[0].id;
+    // D) Insert into "restaurants"
+    const newId = await insertRestaurant(client, fields, candidate);
 
     res.json({ success: true, id: newId });
   } catch (err) {
@@ -169,26 +252,87 @@ app.post('/api/restaurants', async (req, res) => {
   }
 });
 
+// POST /api/restaurants/import - bulk upsert (moderator/admin only)
+// Body: a JSON array of POST /api/restaurants bodies, or CSV text (Content-Type: text/csv)
+// with a header line naming the same fields.
+// Query: ?dryRun=true to geocode and report without writing, ?concurrency=N (default 4, max 10)
+// Responds { dry_run, total, summary, results: [{ row, name, status, ... }] }
+app.post(
+  '/api/restaurants/import',
+  authMiddleware,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
+        return res.status(403).json({ message: 'Forbidden: only mods or admins' });
+      }
+
+      // A) Get the rows out of either body type
+      let rows;
+      if (typeof req.body === 'string') {
+        try {
+          rows = parseCsv(req.body);
+        } catch (err) {
+          return res.status(400).json({ message: err.message });
+        }
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
+      } else {
+        return res.status(400).json({ message: 'Body must be a JSON array or CSV text' });
+      }
+      if (rows.length === 0) {
+        return res.status(400).json({ message: 'No rows to import' });
+      }
+
+      // B) Import
+      const report = await importRestaurants(rows, {
+        client,
+        geocoder,
+        dryRun: req.query.dryRun === 'true',
+        concurrency: req.query.concurrency
+      });
+      res.json(report);
+    } catch (err) {
+      console.error('Error in POST /api/restaurants/import:', err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
 // GET /api/restaurants
 // Usage examples:
 //   /api/restaurants?name=MyRestaurant --> checks exact name match
 //   /api/restaurants                   --> returns all restaurants
+//   /api/restaurants?lat=37.53&lon=126.99&radius=1000&halal=true
+//                                      --> halal restaurants within 1km, nearest first
+//   /api/restaurants?lat=37.53&lon=126.99&limit=10
+//                                      --> the 10 nearest restaurants
+// Whenever lat/lon are given, each row carries "distance_m" (meters from that point).
+// sort=distance|id picks the order (default: distance if lat/lon given, else id).
+// open_now=true keeps restaurants open right now; open_at=<ISO time> those open at that moment
+// (hours are evaluated in Asia/Seoul time, see opening-hours.js).
+// Output format: ?format=json|geojson|csv|kml, or the matching Accept header
+// (application/geo+json, text/csv, application/vnd.google-earth.kml+xml). Default JSON.
 app.get('/api/restaurants', async (req, res) => {
   try {
+    const format = negotiateFormat(req);
+    res.vary('Accept');
+    if (!format) {
+      return res.status(400).json({ message: 'format must be one of json, geojson, csv, kml' });
+    }
+
     const { 
-      name,
-      english_speaking,
-      vegan,
-      vegetarian,
-      no_pork,
-      halal,
-      no_beef,
-      gluten_free,
-      allows_foreigners,
       minLat, 
       maxLat, 
       minLon, 
-      maxLon
+      maxLon,
+      lat,
+      lon,
+      radius,
+      limit,
+      sort,
+      open_now,
+      open_at
     } = req.query;
 
     // Parse bounding box floats
@@ -197,10 +341,53 @@ app.get('/api/restaurants', async (req, res) => {
     const minLonF = parseFloat(minLon);
     const maxLonF = parseFloat(maxLon);
 
+    // Parse the optional search origin (for radius / nearest-N search)
+    const latF = parseFloat(lat);
+    const lonF = parseFloat(lon);
+    const radiusF = parseFloat(radius);
+    const limitN = parseInt(limit, 10);
+    const hasOrigin = !isNaN(latF) && !isNaN(lonF);
+
+    if ((lat !== undefined || lon !== undefined) && !hasOrigin) {
+      return res.status(400).json({ message: 'lat and lon must both be numbers' });
+    }
+    if (hasOrigin && (latF < -90 || latF > 90 || lonF < -180 || lonF > 180)) {
+      return res.status(400).json({ message: 'lat/lon out of range' });
+    }
+    if (radius !== undefined && (!hasOrigin || isNaN(radiusF) || radiusF <= 0)) {
+      return res.status(400).json({ message: 'radius requires lat/lon and must be a positive number of meters' });
+    }
+    if (limit !== undefined && (isNaN(limitN) || limitN <= 0)) {
+      return res.status(400).json({ message: 'limit must be a positive integer' });
+    }
+    if (sort !== undefined && sort !== 'distance' && sort !== 'id') {
+      return res.status(400).json({ message: 'sort must be "distance" or "id"' });
+    }
+    if (sort === 'distance' && !hasOrigin) {
+      return res.status(400).json({ message: 'sort=distance requires lat/lon' });
+    }
+    if (open_at !== undefined && isNaN(Date.parse(open_at))) {
+      return res.status(400).json({ message: 'open_at must be an ISO 8601 date-time' });
+    }
+
     // We'll build a list of conditions and values for the WHERE clause
     let conditions = [];
     let values = [];
 
+    // The origin point is referenced by both the SELECT list (distance_m)
+    // and the ST_DWithin condition, so we push it first and reuse its placeholders.
+    let originSql = null;
+    if (hasOrigin) {
+      originSql = `ST_SetSRID(ST_MakePoint($${values.length + 1}, $${values.length + 2}), 4326)::geography`;
+      values.push(lonF, latF);
+    }
+
+    // Radius filter: ST_DWithin on geography works in meters and uses the GiST index
+    if (hasOrigin && !isNaN(radiusF)) {
+      conditions.push(`ST_DWithin(geom, ${originSql}, $${values.length + 1})`);
+      values.push(radiusF);
+    }
+
     // A) If bounding box is provided, filter geometry
     //    "geom::geometry && ST_MakeEnvelope(xMin, yMin, xMax, yMax, SRID)"
     //    Note the order: ST_MakeEnvelope(minLon, minLat, maxLon, maxLat, 4326)
@@ -218,56 +405,24 @@ app.get('/api/restaurants', async (req, res) => {
       values.push(minLonF, minLatF, maxLonF, maxLatF);
     }
 
-    // B) Partial name match (case-insensitive)
-    if (name) {
-      conditions.push(`name ILIKE $${values.length + 1}`);
-      values.push(`%${name}%`);
-    }
-
-    // Helper: parse 'true'/'false' from query strings into booleans
-    function parseBool(val) {
-      if (val === 'true') return true;
-      if (val === 'false') return false;
-      return null;
-    }
+    // B) Partial name match + dietary booleans (shared with the tile route)
+    conditions.push(...buildRestaurantFilters(req.query, values));
 
-    // Helper: Add a boolean condition if param is provided
-    function addBoolCondition(column, queryVal) {
-      const parsed = parseBool(queryVal);
-      if (parsed !== null) {
-        conditions.push(`${column} = $${values.length + 1}`);
-        values.push(parsed);
-      }
+    // Opening hours: open at the given moment (open_at wins over open_now)
+    if (open_at !== undefined || open_now === 'true') {
+      values.push(open_at !== undefined ? new Date(open_at).toISOString() : new Date().toISOString());
+      conditions.push(openAtConditionSql('restaurant', 'restaurants.id', `$${values.length}`));
     }
 
-    // Add conditions for each boolean attribute
-    addBoolCondition('english_speaking', english_speaking);
-    addBoolCondition('vegan', vegan);
-    addBoolCondition('vegetarian', vegetarian);
-    addBoolCondition('no_pork', no_pork);
-    addBoolCondition('halal', halal);
-    addBoolCondition('no_beef', no_beef);
-    addBoolCondition('gluten_free', gluten_free);
-    addBoolCondition('allows_foreigners', allows_foreigners);
-
     // C) Build final SELECT
     //    We extract lat/lon from geom using ST_X, ST_Y for easy marker placement
     let sql = `
       SELECT
-        id,
-        name,
-        english_speaking,
-        vegan,
-        vegetarian,
-        no_pork,
-        halal,
-        no_beef,
-        gluten_free,
-        allows_foreigners,
-        full_address,
-        ST_X(geom::geometry) AS lon,
-        ST_Y(geom::geometry) AS lat
+        ${RESTAURANT_COLUMNS_SQL},
+        ${REVIEW_SUMMARY_COLUMNS_SQL}
+        ${originSql ? `, ST_Distance(geom, ${originSql}) AS distance_m` : ''}
       FROM restaurants
+      ${REVIEW_SUMMARY_JOINS_SQL}
     `;
 
     // Add WHERE if we have any conditions
@@ -275,302 +430,1748 @@ app.get('/api/restaurants', async (req, res) => {
       sql += ' WHERE ' + conditions.join(' AND ');
     }
 
-    sql += ' ORDER BY id ASC';
+    const sortBy = sort || (hasOrigin ? 'distance' : 'id');
+    if (sortBy === 'distance') {
+      // <-> is the KNN operator, so nearest-N queries can walk the index
+      sql += ` ORDER BY geom <-> ${originSql}, id ASC`;
+    } else {
+      sql += ' ORDER BY id ASC';
+    }
+
+    if (!isNaN(limitN)) {
+      sql += ` LIMIT $${values.length + 1}`;
+      values.push(Math.min(limitN, MAX_RESTAURANT_LIMIT));
+    }
+
+    // D) Execute
+    const { rows } = await client.query(sql, values);
+
+    // E) Return matching rows (each has lat, lon, booleans, ratings, etc.) in the negotiated format
+    sendRestaurants(res, rows.map(withClaimConfidence), format);
+
+  } catch (err) {
+    console.error('Error in GET /api/restaurants:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/restaurants/tiles/:z/:x/:y
+// Mapbox Vector Tile (layer "restaurants") for the XYZ tile z/x/y; ":y" may carry a ".mvt"/".pbf" suffix.
+// Accepts the same name/dietary filters as GET /api/restaurants (e.g. ?halal=true).
+// Below CLUSTER_MAX_ZOOM, nearby restaurants are merged into grid clusters:
+//   each feature has "count" (restaurants in the cluster); "id" and "name" are only set when count = 1.
+// From CLUSTER_MAX_ZOOM up, every restaurant is its own feature (count = 1).
+// Empty tiles respond 204.
+app.get('/api/restaurants/tiles/:z/:x/:y', async (req, res) => {
+  try {
+    const z = parseInt(req.params.z, 10);
+    const x = parseInt(req.params.x, 10);
+    const y = parseInt(req.params.y, 10);
+    const maxIndex = Math.pow(2, z) - 1;
+    if (isNaN(z) || isNaN(x) || isNaN(y) || z < 0 || z > MAX_TILE_ZOOM ||
+        x < 0 || x > maxIndex || y < 0 || y > maxIndex) {
+      return res.status(400).json({ message: 'Invalid tile coordinates' });
+    }
+
+    // A) Tile envelope (Web Mercator) + the shared name/dietary filters
+    const values = [z, x, y];
+    const conditions = [
+      'geom::geometry && ST_Transform(ST_TileEnvelope($1, $2, $3), 4326)',
+      ...buildRestaurantFilters(req.query, values)
+    ];
+
+    // B) Points (one per restaurant) or grid clusters, depending on zoom.
+    //    Cell size = tile width / TILE_CLUSTER_GRID, so clusters are the same size on screen at every zoom.
+    let featuresSql;
+    if (z < CLUSTER_MAX_ZOOM) {
+      const cellSize = (2 * Math.PI * 6378137) / Math.pow(2, z) / TILE_CLUSTER_GRID;
+      values.push(cellSize);
+      featuresSql = `
+        SELECT
+          CASE WHEN COUNT(*) = 1 THEN MIN(id) END AS id,
+          CASE WHEN COUNT(*) = 1 THEN MIN(name) END AS name,
+          COUNT(*) AS count,
+          ST_Centroid(ST_Collect(g)) AS g
+        FROM pts
+        GROUP BY ST_SnapToGrid(g, $${values.length})
+      `;
+    } else {
+      featuresSql = 'SELECT id, name, 1 AS count, g FROM pts';
+    }
+
+    const sql = `
+      WITH pts AS (
+        SELECT id, name, ST_Transform(geom::geometry, 3857) AS g
+        FROM restaurants
+        WHERE ${conditions.join(' AND ')}
+      ),
+      features AS (${featuresSql})
+      SELECT ST_AsMVT(t, 'restaurants', 4096, 'geom') AS tile
+      FROM (
+        SELECT id, name, count, ST_AsMVTGeom(g, ST_TileEnvelope($1, $2, $3), 4096, 64, true) AS geom
+        FROM features
+      ) t
+    `;
+
+    // C) Execute and send the protobuf
+    const { rows } = await client.query(sql, values);
+    const tile = rows[0] && rows[0].tile;
+    if (!tile || tile.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.set('Cache-Control', 'public, max-age=60');
+    res.send(tile);
+  } catch (err) {
+    console.error('Error in GET /api/restaurants/tiles/:z/:x/:y:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/restaurants/stats/regions
+// Restaurant counts per administrative region, plus per-attribute counts.
+// Usage examples:
+//   /api/restaurants/stats/regions                          --> one row per si/do
+//   /api/restaurants/stats/regions?si_do=서울               --> districts (si/gun/gu) of Seoul
+//   /api/restaurants/stats/regions?si_do=서울&si_gun_gu=용산구 --> dongs of Yongsan-gu
+//   /api/restaurants/stats/regions?level=si_gun_gu          --> every si/gun/gu nationwide
+// level defaults to one below the deepest parent given. sort=name (default) | count (fewest first).
+// Responds { level, parent, regions: [{ region, restaurant_count, counts: { <tag slug>: n, ... } }] }
+// counts lists every tag in the taxonomy (0 when no restaurant in the region has it).
+app.get('/api/restaurants/stats/regions', async (req, res) => {
+  try {
+    const { si_do, si_gun_gu, sort = 'name' } = req.query;
+    const levelNames = Object.keys(REGION_LEVELS); // top to bottom
+
+    // A) Which level to group by
+    let level = req.query.level;
+    if (!level) {
+      level = si_gun_gu ? 'eup_myeon_dong' : (si_do ? 'si_gun_gu' : 'si_do');
+    }
+    if (!REGION_LEVELS[level]) {
+      return res.status(400).json({ message: `level must be one of ${levelNames.join(', ')}` });
+    }
+    if (sort !== 'name' && sort !== 'count') {
+      return res.status(400).json({ message: 'sort must be "name" or "count"' });
+    }
+
+    // B) Parent filters: only levels above the grouping level make sense
+    const parent = {};
+    const conditions = [];
+    const values = [];
+    for (const [parentLevel, parentValue] of [['si_do', si_do], ['si_gun_gu', si_gun_gu]]) {
+      if (!parentValue) continue;
+      if (levelNames.indexOf(parentLevel) >= levelNames.indexOf(level)) {
+        return res.status(400).json({ message: `${parentLevel} cannot be used when grouping by ${level}` });
+      }
+      conditions.push(`${REGION_LEVELS[parentLevel]} = $${values.length + 1}`);
+      values.push(parentValue);
+      parent[parentLevel] = parentValue;
+    }
+
+    // C) Count restaurants per region, and per tag within each region
+    const column = REGION_LEVELS[level];
+    let sql = `
+      WITH filtered AS (
+        SELECT ${column} AS region, tags
+        FROM restaurants
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      )
+      SELECT
+        f.region,
+        COUNT(*) AS restaurant_count,
+        (
+          SELECT json_object_agg(t.tag, t.n)
+          FROM (
+            SELECT tag, COUNT(*) AS n
+            FROM filtered f2, unnest(f2.tags) AS tag
+            WHERE f2.region IS NOT DISTINCT FROM f.region
+            GROUP BY tag
+          ) t
+        ) AS tag_counts
+      FROM filtered f
+      GROUP BY f.region
+    `;
+    sql += sort === 'count' ? ' ORDER BY restaurant_count ASC, region ASC' : ' ORDER BY region ASC';
+
+    // D) Execute; COUNT() comes back as a bigint string, so convert
+    const { rows } = await client.query(sql, values);
+    const slugs = await listTagSlugs(client);
+    const regions = rows.map((row) => {
+      const counts = {};
+      for (const slug of slugs) {
+        counts[slug] = row.tag_counts && row.tag_counts[slug] ? parseInt(row.tag_counts[slug], 10) : 0;
+      }
+      return {
+        region: row.region,
+        restaurant_count: parseInt(row.restaurant_count, 10),
+        counts
+      };
+    });
+
+    res.json({ level, parent, regions });
+  } catch (err) {
+    console.error('Error in GET /api/restaurants/stats/regions:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/restaurants/:id
+app.get('/api/restaurants/:id(\\d+)', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sql = `
+      SELECT
+        ${RESTAURANT_COLUMNS_SQL},
+        "si/do",
+        "si/gun/gu",
+        "eup/myeon/dong",
+        "postal code",
+        "road name",
+        ${REVIEW_SUMMARY_COLUMNS_SQL}
+      FROM restaurants
+      ${REVIEW_SUMMARY_JOINS_SQL}
+      WHERE id = $1
+    `;
+    const { rows } = await client.query(sql, [id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+    return res.json(withClaimConfidence(rows[0]));
+  } catch (err) {
+    console.error('Error in GET /api/restaurants/:id:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// PATCH /api/restaurants/:id (moderator/admin only, like DELETE)
+// Body: any of name, address (+ candidate_index), tags (replaces the list), and the legacy booleans.
+// A new address is re-geocoded. If the new name/location collides with another restaurant,
+// responds 409 with { duplicates } unless on_duplicate = "ignore".
+app.patch('/api/restaurants/:id(\\d+)', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
+      return res.status(403).json({ message: 'Forbidden: only mods or admins' });
+    }
+
+    const id = parseInt(req.params.id, 10);
+    const { name, address, candidate_index, on_duplicate = 'warn' } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ message: 'name must be a non-empty string' });
+    }
+    if (address !== undefined && (typeof address !== 'string' || !address.trim())) {
+      return res.status(400).json({ message: 'address must be a non-empty string' });
+    }
+    if (!['warn', 'ignore'].includes(on_duplicate)) {
+      return res.status(400).json({ message: 'on_duplicate must be one of warn, ignore' });
+    }
+    const invalidFields = invalidTagFields(req.body);
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        message: `${invalidFields.join(', ')}: tags must be a list and dietary fields true or false`
+      });
+    }
+    const unknownTags = await findUnknownTags(client, parseTagList(req.body.tags));
+    if (unknownTags.length > 0) {
+      return res.status(400).json({ message: `Unknown tags: ${unknownTags.join(', ')}` });
+    }
+
+    // 1) Find the restaurant
+    const existingRes = await client.query(
+      'SELECT id, name, tags, ST_X(geom::geometry) AS lon, ST_Y(geom::geometry) AS lat FROM restaurants WHERE id = $1',
+      [id]
+    );
+    if (existingRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+    const existing = existingRes.rows[0];
+
+    // 2) Re-geocode if the address changed
+    let candidate = null;
+    if (address !== undefined) {
+      const found = await geocoder.geocode(address);
+      const picked = pickCandidate(found, candidate_index);
+      if (picked.candidates) {
+        return res.status(409).json({
+          message: 'Address matches multiple locations; resend with candidate_index',
+          candidates: picked.candidates
+        });
+      }
+      if (!picked.candidate) {
+        return res.status(400).json({ message: 'Geocoder: No results for that address' });
+      }
+      candidate = picked.candidate;
+    }
+
+    // 3) Duplicate check against everyone else
+    if ((name !== undefined || candidate) && on_duplicate === 'warn') {
+      const duplicates = await findDuplicates(
+        client,
+        name !== undefined ? name : existing.name,
+        candidate || existing,
+        id
+      );
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          message: `A restaurant with this name already exists within ${DUPLICATE_RADIUS_M}m; resend with on_duplicate=ignore`,
+          duplicates
+        });
+      }
+    }
+
+    // 4) Update only what was sent. Legacy booleans alone toggle single tags on the current list.
+    let tags;
+    if (req.body.tags !== undefined) {
+      tags = tagsFromBody(req.body);
+    } else if (LEGACY_TAG_FIELDS.some((field) => req.body[field] !== undefined)) {
+      tags = tagsFromBody({ ...req.body, tags: existing.tags });
+    }
+    await updateRestaurant(client, id, { name, address, tags }, candidate);
+
+    res.json({ success: true, id });
+  } catch (err) {
+    console.error('Error in PATCH /api/restaurants/:id:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// DELETE /api/restaurants/:id (moderator/admin only)
+app.delete('/api/restaurants/:id(\\d+)', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
+      return res.status(403).json({ message: 'Forbidden: only mods or admins' });
+    }
+
+    const { id } = req.params;
+    const deleteSql = 'DELETE FROM restaurants WHERE id = $1 RETURNING id, name, full_address';
+    const result = await client.query(deleteSql, [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+    return res.json({ success: true, deleted: result.rows[0] });
+  } catch (err) {
+    console.error('Error in DELETE /api/restaurants/:id:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/*************************************************************
+ *  RESTAURANT REVIEWS (rating + dietary claim verification)
+ *************************************************************/
+// Tables are described in restaurants.js. One review per user per restaurant;
+// posting again edits it.
+
+// GET /api/restaurants/:id/reviews
+// -> [{ id, author_id, author_name, rating, text, claims: { halal: 'confirm' | 'dispute' }, ... }]
+app.get('/api/restaurants/:id(\\d+)/reviews', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sql = `
+      SELECT
+        rv.*,
+        u.username AS author_name,
+        COALESCE(
+          (SELECT json_object_agg(rc.attribute, CASE WHEN rc.confirms THEN 'confirm' ELSE 'dispute' END)
+           FROM restaurant_review_claims rc
+           WHERE rc.review_id = rv.id),
+          '{}'::json
+        ) AS claims
+      FROM restaurant_reviews rv
+      JOIN users u ON rv.author_id = u.id
+      WHERE rv.restaurant_id = $1
+      ORDER BY rv.updated_at DESC
+    `;
+    const { rows } = await client.query(sql, [id]);
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error in GET /api/restaurants/:id/reviews:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/restaurants/:id/reviews
+// Body: { rating: 1-5, text?, claims?: { <tag slug>: 'confirm' | 'dispute', ... } }
+// Creates the caller's review, or replaces it (claims included) if they already have one.
+app.post('/api/restaurants/:id(\\d+)/reviews', authMiddleware, async (req, res) => {
+  try {
+    const restaurantId = parseInt(req.params.id, 10);
+    const { rating, text, claims = {} } = req.body;
+
+    // 1) Validate
+    const ratingN = Number(rating);
+    if (!Number.isInteger(ratingN) || ratingN < 1 || ratingN > 5) {
+      return res.status(400).json({ message: 'rating must be an integer from 1 to 5' });
+    }
+    if (!claims || typeof claims !== 'object' || Array.isArray(claims)) {
+      return res.status(400).json({ message: 'claims must be an object' });
+    }
+    for (const [attribute, verdict] of Object.entries(claims)) {
+      if (verdict !== 'confirm' && verdict !== 'dispute') {
+        return res.status(400).json({ message: `claims.${attribute} must be "confirm" or "dispute"` });
+      }
+    }
+    const unknownTags = await findUnknownTags(client, Object.keys(claims));
+    if (unknownTags.length > 0) {
+      return res.status(400).json({ message: `Unknown tags: ${unknownTags.join(', ')}` });
+    }
+
+    const found = await client.query('SELECT id FROM restaurants WHERE id = $1', [restaurantId]);
+    if (found.rows.length === 0) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    // 2) Upsert the review
+    const upsertSql = `
+      INSERT INTO restaurant_reviews (restaurant_id, author_id, rating, text)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (restaurant_id, author_id)
+      DO UPDATE SET rating = EXCLUDED.rating, text = EXCLUDED.text, updated_at = NOW()
+      RETURNING *
+    `;
+    const reviewRes = await client.query(upsertSql, [restaurantId, req.user.userId, ratingN, text || null]);
+    const review = reviewRes.rows[0];
+
+    // 3) Replace its claims (one statement, so it's atomic). Both halves see the same snapshot,
+    //    so the delete only drops attributes the new claims leave out and the upsert covers the rest.
+    const attributes = Object.keys(claims);
+    const claimsSql = `
+      WITH del AS (
+        DELETE FROM restaurant_review_claims
+        WHERE review_id = $1 AND attribute <> ALL($2::text[])
+      )
+      INSERT INTO restaurant_review_claims (review_id, attribute, confirms)
+      SELECT $1, a, c FROM unnest($2::text[], $3::boolean[]) AS t(a, c)
+      ON CONFLICT (review_id, attribute) DO UPDATE SET confirms = EXCLUDED.confirms
+    `;
+    await client.query(claimsSql, [
+      review.id,
+      attributes,
+      attributes.map((a) => claims[a] === 'confirm')
+    ]);
+
+    return res.json({ ...review, claims });
+  } catch (err) {
+    console.error('Error in POST /api/restaurants/:id/reviews:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// DELETE /api/restaurants/:id/reviews/:reviewId
+// The author OR a moderator/admin can delete a review
+app.delete('/api/restaurants/:id(\\d+)/reviews/:reviewId(\\d+)', authMiddleware, async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+
+    // 1) Find the review
+    const checkSql = 'SELECT author_id FROM restaurant_reviews WHERE id = $1 AND restaurant_id = $2';
+    const checkRes = await client.query(checkSql, [reviewId, id]);
+    if (checkRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    // 2) The review's author OR mod/admin can delete
+    const isAuthor = (checkRes.rows[0].author_id === req.user.userId);
+    const isModOrAdmin = (req.user.role === 'moderator' || req.user.role === 'admin');
+    if (!isAuthor && !isModOrAdmin) {
+      return res.status(403).json({ message: 'Forbidden: only author or mod/admin can delete' });
+    }
+
+    // 3) Delete it (claims cascade)
+    const result = await client.query('DELETE FROM restaurant_reviews WHERE id = $1 RETURNING *', [reviewId]);
+    return res.json({ success: true, deleted: result.rows[0] });
+  } catch (err) {
+    console.error('Error in DELETE /api/restaurants/:id/reviews/:reviewId:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/*************************************************************
+ *  OPENING HOURS (restaurants + stores)
+ *************************************************************/
+// GET  /api/restaurants/:id/hours, /api/stores/:id/hours
+//   -> { timezone, weekly: [{ day, opens, closes }], exceptions: [{ date, closed | opens/closes, note }] }
+// PUT  same paths, body { weekly, exceptions } as described in opening-hours.js;
+//   replaces the whole schedule. Invalid schedules get 400 with { errors }.
+//   Restaurants: moderator/admin only. Stores: the verified owner or a moderator/admin.
+function getHoursHandler(owner, table) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      const found = await client.query(`SELECT id FROM ${table} WHERE id = $1`, [id]);
+      if (found.rows.length === 0) {
+        return res.status(404).json({ message: `${owner === 'store' ? 'Store' : 'Restaurant'} not found` });
+      }
+      return res.json(await loadSchedule(client, owner, id));
+    } catch (err) {
+      console.error(`Error in GET /api/${table}/:id/hours:`, err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+function putHoursHandler(owner, table) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      const normalized = normalizeSchedule(req.body);
+      if (normalized.errors) {
+        return res.status(400).json({ message: 'Invalid schedule', errors: normalized.errors });
+      }
+
+      const ownerColumn = owner === 'store' ? 'owner_id' : 'NULL AS owner_id';
+      const found = await client.query(`SELECT id, ${ownerColumn} FROM ${table} WHERE id = $1`, [id]);
+      if (found.rows.length === 0) {
+        return res.status(404).json({ message: `${owner === 'store' ? 'Store' : 'Restaurant'} not found` });
+      }
+      const allowed = owner === 'store'
+        ? canManageStore(req.user, found.rows[0].owner_id)
+        : isModOrAdmin(req.user);
+      if (!allowed) {
+        return res.status(403).json({ message: 'Forbidden: only the owner or mods/admins can edit hours' });
+      }
+
+      await saveSchedule(client, owner, id, normalized);
+      return res.json(await loadSchedule(client, owner, id));
+    } catch (err) {
+      console.error(`Error in PUT /api/${table}/:id/hours:`, err);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+app.get('/api/restaurants/:id(\\d+)/hours', getHoursHandler('restaurant', 'restaurants'));
+app.put('/api/restaurants/:id(\\d+)/hours', authMiddleware, putHoursHandler('restaurant', 'restaurants'));
+app.get('/api/stores/:id(\\d+)/hours', getHoursHandler('store', 'stores'));
+app.put('/api/stores/:id(\\d+)/hours', authMiddleware, putHoursHandler('store', 'stores'));
+
+/*************************************************************
+ *  TAGS (taxonomy shared by restaurants and discount events)
+ *************************************************************/
+// GET /api/tags?lang=ko -> [{ id, slug, label, labels }], label localized with English fallback
+app.get('/api/tags', async (req, res) => {
+  try {
+    const { rows } = await client.query('SELECT id, slug, labels FROM tags ORDER BY slug ASC');
+    return res.json(rows.map((row) => localizeTag(row, req.query.lang)));
+  } catch (err) {
+    console.error('Error in GET /api/tags:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Helper: labels must be { "<lang>": "<non-empty string>", ... }
+function isValidLabels(labels) {
+  return labels && typeof labels === 'object' && !Array.isArray(labels) &&
+    Object.values(labels).every((val) => typeof val === 'string' && val.trim() !== '');
+}
+
+// CREATE a tag (admin only)
+// Body: { slug: 'kosher', labels: { en: 'Kosher', ko: '코셔' } }
+app.post('/api/tags', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Forbidden: only admins can manage tags' });
+    }
+    const { slug, labels = {} } = req.body;
+    if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+      return res.status(400).json({ message: 'slug must be lower_snake_case (a-z, 0-9, _)' });
+    }
+    if (!isValidLabels(labels)) {
+      return res.status(400).json({ message: 'labels must map language codes to non-empty strings' });
+    }
+
+    const insertSql = `
+      INSERT INTO tags (slug, labels)
+      VALUES ($1, $2)
+      ON CONFLICT (slug) DO NOTHING
+      RETURNING id, slug, labels
+    `;
+    const result = await client.query(insertSql, [slug, JSON.stringify(labels)]);
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'Tag already exists' });
+    }
+    return res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in POST /api/tags:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// UPDATE a tag's labels (admin only); slugs are stable identifiers and can't be renamed
+app.put('/api/tags/:slug', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Forbidden: only admins can manage tags' });
+    }
+    const { labels } = req.body;
+    if (!isValidLabels(labels)) {
+      return res.status(400).json({ message: 'labels must map language codes to non-empty strings' });
+    }
+
+    const updateSql = 'UPDATE tags SET labels = $1 WHERE slug = $2 RETURNING id, slug, labels';
+    const result = await client.query(updateSql, [JSON.stringify(labels), req.params.slug]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    return res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in PUT /api/tags/:slug:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// DELETE a tag (admin only); it is also removed from every restaurant and discount event,
+// and review claims about it go with it
+app.delete('/api/tags/:slug', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Forbidden: only admins can manage tags' });
+    }
+
+    const deleteSql = `
+      WITH
+        untag_restaurants AS (
+          UPDATE restaurants SET tags = array_remove(tags, $1) WHERE tags @> ARRAY[$1]::text[]
+        ),
+        untag_events AS (
+          UPDATE discount_events SET dietary_tags = array_remove(dietary_tags, $1)
+          WHERE dietary_tags @> ARRAY[$1]::text[]
+        ),
+        drop_claims AS (
+          DELETE FROM restaurant_review_claims WHERE attribute = $1
+        )
+      DELETE FROM tags WHERE slug = $1 RETURNING id, slug, labels
+    `;
+    const result = await client.query(deleteSql, [req.params.slug]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    return res.json({ success: true, deleted: result.rows[0] });
+  } catch (err) {
+    console.error('Error in DELETE /api/tags/:slug:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/uploads/images (logged in) - multipart/form-data with one file in the "image" field
+// The bytes must really be JPEG, PNG or WebP (at most MAX_UPLOAD_BYTES); the stored copy is resized,
+// auto-rotated and stripped of metadata, and a WebP thumbnail is generated.
+// -> { id, url, thumbnail_url, width, height }; put url in a discount event's item_image_url.
+app.post('/api/uploads/images', authMiddleware, (req, res, next) => {
+  imageUpload.single('image')(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Image must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: err.message });
+    }
+    next(err);
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Missing "image" file field' });
+    }
+
+    const image = await saveUploadedImage(client, storage, req.file.buffer, req.user.userId);
+    if (image.error) {
+      return res.status(415).json({ message: image.error });
+    }
+    return res.json({
+      id: image.id,
+      url: image.url,
+      thumbnail_url: image.thumbnail_url,
+      width: image.width,
+      height: image.height
+    });
+  } catch (err) {
+    console.error('Error in POST /api/uploads/images:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/discount-events
+// Every event carries a computed "status" (see discount-events.js) and "ends_at".
+// Filters (all optional, see buildDiscountEventFilters): status, include_archived, store_id, item_category,
+// dietary_tags, tags_all / tags_any / tags_none, min_discount, min_price, max_price, crowd_sourced, from, to
+// Deals near me: ?lat=&lon=[&radius=meters, default 2000] -> only running (active/ending_soon, unless
+// ?status= says otherwise) events of stores within radius,
+// each with distance_m, store_name and the store's lon/lat; sorted by distance unless ?sort= says otherwise
+// Sorting: ?sort=newest (default) | discount | ending_soon | rating | distance (needs lat/lon)
+// Pagination: ?limit= (default 50, max MAX_DISCOUNT_EVENT_LIMIT) and ?cursor=<next_cursor from the previous page>
+// Response: a plain array of every match, as before; with limit or cursor it is a page instead:
+// { items: [...], next_cursor } (next_cursor is null on the last page)
+app.get('/api/discount-events', async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const paginated = req.query.limit !== undefined || cursor !== undefined;
+    const limitN = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+    if (isNaN(limitN) || limitN <= 0) {
+      return res.status(400).json({ message: 'limit must be a positive integer' });
+    }
+
+    // A) Origin first: its placeholders are shared by the SELECT list, WHERE and ORDER BY
+    const values = [];
+    const nearby = parseNearby(req.query, values);
+    if (nearby.error) {
+      return res.status(400).json({ message: nearby.error });
+    }
+    const { near } = nearby;
+
+    const sort = req.query.sort || (near ? 'distance' : 'newest');
+    const sortSpec = resolveSort(sort, near);
+    if (!sortSpec) {
+      return res.status(400).json({
+        message: `sort must be one of ${Object.keys(DISCOUNT_EVENT_SORTS).join(', ')}, or distance with lat/lon`
+      });
+    }
+
+    // B) Filters (deals near me default to the ones running now)
+    const filterQuery = near && req.query.status === undefined
+      ? { ...req.query, status: RUNNING_STATUSES.join(',') }
+      : req.query;
+    const { conditions, error } = buildDiscountEventFilters(filterQuery, values);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (near) {
+      conditions.push(...near.conditions);
+    }
+
+    // C) Resume after the previous page
+    if (cursor !== undefined) {
+      const after = decodeCursor(cursor, sort);
+      if (!after) {
+        return res.status(400).json({ message: 'Invalid cursor (cursors only work with the sort they came from)' });
+      }
+      conditions.push(cursorConditionSql(sortSpec, after, values));
+    }
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // D) Fetch one extra row to know whether there is a next page
+    const { key, dir } = sortSpec;
+    const pageSize = Math.min(limitN, MAX_DISCOUNT_EVENT_LIMIT);
+    if (paginated) {
+      values.push(pageSize + 1);
+    }
+
+    const queryText = `
+      SELECT
+        e.*,
+        ${discountStatusSql('e')} AS status,
+        ${endsAtSql('e')} AS ends_at,
+        ${near ? `s.store_name, ST_X(s.geom::geometry) AS lon, ST_Y(s.geom::geometry) AS lat, ${near.distanceSql} AS distance_m,` : ''}
+        (${key})::text AS sort_key
+      FROM discount_events e
+      ${near ? 'JOIN stores s ON s.id = e.store_id' : ''}
+      ${whereClause}
+      ORDER BY ${key} ${dir} NULLS LAST, e.id ${dir}
+      ${paginated ? `LIMIT $${values.length}` : ''}
+    `;
+    const { rows } = await client.query(queryText, values);
+    if (!paginated) {
+      return res.json(rows.map(({ sort_key, ...event }) => event));
+    }
+
+    const hasMore = rows.length > pageSize;
+    const page = rows.slice(0, pageSize);
+    return res.json({
+      items: page.map(({ sort_key, ...event }) => event),
+      next_cursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null
+    });
+  } catch (err) {
+    console.error('Error in GET /api/discount-events:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Helper: save structured hours when the free-form store_hours text is understandable;
+// clearing the text (null or "") clears them too
+async function saveParsedStoreHours(storeId, storeHours) {
+  if (storeHours === null || storeHours === '') {
+    await saveSchedule(client, 'store', storeId, { intervals: [], exceptions: [] });
+    return;
+  }
+  const parsedHours = parseStoreHours(storeHours);
+  const normalized = parsedHours && normalizeSchedule(parsedHours);
+  if (normalized && !normalized.errors) {
+    await saveSchedule(client, 'store', storeId, normalized);
+  }
+}
+
+// POST /api/stores - create with geocoding, same flow as POST /api/restaurants:
+// an ambiguous address responds 409 with { candidates }; resend with "candidate_index".
+// Optional name_aliases: Latin spellings people search for (["E-Mart"]), see stores.js.
+app.post('/api/stores', async (req, res) => {
+  try {
+    const { store_name, address, store_hours, candidate_index } = req.body;
+    
+    if (!store_name || !address) {
+      return res.status(400).json({ message: 'Missing store_name or address' });
+    }
+    const { aliases, error: aliasError } = parseNameAliases(req.body.name_aliases);
+    if (aliasError) {
+      return res.status(400).json({ message: aliasError });
+    }
+
+    // A) Geocode
+    const found = await geocoder.geocode(address);
+    const { candidate, candidates } = pickCandidate(found, candidate_index);
+    if (candidates) {
+      return res.status(409).json({
+        message: 'Address matches multiple locations; resend with candidate_index',
+        candidates
+      });
+    }
+    if (!candidate) {
+      return res.status(400).json({ message: 'Geocoder: No results for that address' });
+    }
+
+    // B) Insert into "stores" table
+    const newStore = await insertStore(client, { store_name, address, store_hours, name_aliases: aliases }, candidate);
+
+    // Also keep a structured schedule when the free-form hours are understandable
+    await saveParsedStoreHours(newStore.id, store_hours);
+
+    // Return something like { success: true, id: newStore.id }
+    return res.json({
+      success: true,
+      id: newStore.id,
+      store_name: newStore.store_name,
+      address: newStore.address,
+      lon: newStore.lon,
+      lat: newStore.lat
+    });
+  } catch (err) {
+    console.error('Error in POST /api/stores:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// PATCH /api/stores/:id - partial update; a new address is geocoded again
+// (409 with { candidates } when ambiguous, as on create).
+// Only the store's verified owner or a moderator/admin can edit it; unowned stores are mods/admins only.
+app.patch('/api/stores/:id(\\d+)', authMiddleware, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { store_name, address, store_hours, candidate_index } = req.body;
+
+    const access = await authorizeStoreEdit(client, req.user, id);
+    if (access.error) {
+      return res.status(access.status).json({ message: access.error });
+    }
+
+    if (store_name !== undefined && !store_name) {
+      return res.status(400).json({ message: 'store_name cannot be empty' });
+    }
+    let aliases;
+    if (req.body.name_aliases !== undefined) {
+      const parsed = parseNameAliases(req.body.name_aliases);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      aliases = parsed.aliases;
+    }
+
+    let candidate = null;
+    if (address !== undefined) {
+      if (!address) {
+        return res.status(400).json({ message: 'address cannot be empty' });
+      }
+      const found = await geocoder.geocode(address);
+      const picked = pickCandidate(found, candidate_index);
+      if (picked.candidates) {
+        return res.status(409).json({
+          message: 'Address matches multiple locations; resend with candidate_index',
+          candidates: picked.candidates
+        });
+      }
+      if (!picked.candidate) {
+        return res.status(400).json({ message: 'Geocoder: No results for that address' });
+      }
+      candidate = picked.candidate;
+    }
+
+    const store = await updateStore(client, id, { store_name, address, store_hours, name_aliases: aliases }, candidate);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    if (store_hours !== undefined) {
+      await saveParsedStoreHours(id, store_hours);
+    }
+
+    return res.json(store);
+  } catch (err) {
+    console.error('Error in PATCH /api/stores/:id:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/stores
+// Search: /api/stores?q=이마트&limit=20&offset=0
+//   Ranked matches (see searchStores): partial Korean ("이마"), initial consonants ("ㅇㅁㅌ") and
+//   Latin spellings all work, with typo tolerance from trigram similarity. Latin queries match the
+//   usual spelling of known brands ("emart", "lotte", "homeplus"), the store's name_aliases and the
+//   letter-by-letter romanization ("imateu").
+//   -> { items: [{ id, store_name, address, ..., score }], next_offset } (next_offset is null on the last page)
+// Legacy: /api/stores?searchName=MyStore -> the first store whose name contains it (case-insensitive)
+//   as { exists: true, id, store_name, address }, or { exists: false }
+// With neither parameter, returns all stores.
+app.get('/api/stores', async (req, res) => {
+  try {
+    const { q, searchName } = req.query;
+
+    if (q !== undefined) {
+      if (String(q).trim() === '') {
+        return res.status(400).json({ message: 'q must not be empty' });
+      }
+      const limitN = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+      const offsetN = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+      if (isNaN(limitN) || limitN <= 0 || isNaN(offsetN) || offsetN < 0) {
+        return res.status(400).json({ message: 'limit must be a positive integer and offset a non-negative one' });
+      }
+      const result = await searchStores(client, String(q), {
+        limit: Math.min(limitN, MAX_STORE_SEARCH_LIMIT),
+        offset: offsetN
+      });
+      return res.json(result);
+    }
+
+    // If no searchName, return all stores (or you could choose to return an error instead).
+    if (!searchName) {
+      const allStoresQuery = `SELECT ${STORE_COLUMNS_SQL} FROM stores ORDER BY id ASC`;
+      const { rows } = await client.query(allStoresQuery);
+      return res.json(rows); // an array of all stores
+    }
+
+    // Legacy single-match lookup: plain substring match, wildcards in the input taken literally
+    const searchSql = `
+      SELECT id, store_name, address
+      FROM stores
+      WHERE store_name ILIKE '%' || $1 || '%'
+      ORDER BY id ASC
+      LIMIT 1
+    `;
+    const { rows } = await client.query(searchSql, [escapeLike(String(searchName))]);
+
+    if (rows.length === 0) {
+      // No matching store found
+      return res.json({ exists: false });
+    }
+
+    // Found at least one store; return the first match
+    const store = rows[0];
+    return res.json({
+      exists: true,
+      id: store.id,
+      store_name: store.store_name,
+      address: store.address
+    });
+  } catch (err) {
+    console.error('Error in GET /api/stores:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/stores/:id
+app.get('/api/stores/:id(\\d+)', async (req, res) => {
+  try {
+    const sql = `SELECT ${STORE_COLUMNS_SQL} FROM stores WHERE id = $1`;
+    const { rows } = await client.query(sql, [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    return res.json(rows[0]);
+  } catch (err) {
+    console.error('Error in GET /api/stores/:id:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// DELETE /api/stores/:id (moderator/admin only)
+// Refused with 409 while the store still has discount events; delete or move those first.
+app.delete('/api/stores/:id(\\d+)', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
+      return res.status(403).json({ message: 'Forbidden: only moderators/admins can delete stores' });
+    }
+    const { id } = req.params;
+
+    const countSql = 'SELECT COUNT(*)::int AS n FROM discount_events WHERE store_id = $1';
+    const countRes = await client.query(countSql, [id]);
+    if (countRes.rows[0].n > 0) {
+      return res.status(409).json({
+        message: `Store still has ${countRes.rows[0].n} discount event(s); delete or move them first`
+      });
+    }
+
+    const deleteSql = `DELETE FROM stores WHERE id = $1 RETURNING ${STORE_COLUMNS_SQL}`;
+    const result = await client.query(deleteSql, [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    return res.json({ success: true, deleted: result.rows[0] });
+  } catch (err) {
+    console.error('Error in DELETE /api/stores/:id:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/*************************************************************
+ *  STORE OWNERSHIP CLAIMS (see store-ownership.js)
+ *************************************************************/
+// POST /api/stores/:id/claims (logged in) - ask to become the store's verified owner
+// Body: { evidence: 'business registration no. 123-45-67890' }
+app.post('/api/stores/:id(\\d+)/claims', authMiddleware, async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id, 10);
+    const { evidence } = req.body;
+
+    const store = await getStoreOwner(client, storeId);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    if (store.ownerId !== null) {
+      return res.status(409).json({ message: 'Store already has a verified owner' });
+    }
+
+    const insertSql = `
+      INSERT INTO store_claims (store_id, user_id, evidence)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (store_id, user_id) WHERE status = 'pending' DO NOTHING
+      RETURNING *
+    `;
+    const result = await client.query(insertSql, [storeId, req.user.userId, evidence || null]);
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'You already have a pending claim for this store' });
+    }
+    return res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in POST /api/stores/:id/claims:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/store-claims?status=pending (admin only)
+app.get('/api/store-claims', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Forbidden: only admins can review store claims' });
+    }
+    const { status = 'pending' } = req.query;
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'status must be pending, approved or rejected' });
+    }
+
+    const sql = `
+      SELECT
+        c.*,
+        u.username,
+        s.store_name,
+        s.address
+      FROM store_claims c
+      JOIN users u ON u.id = c.user_id
+      JOIN stores s ON s.id = c.store_id
+      WHERE c.status = $1
+      ORDER BY c.created_at ASC
+    `;
+    const { rows } = await client.query(sql, [status]);
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error in GET /api/store-claims:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/store-claims/:id/approve (admin only) - the claimant becomes the store's owner
+app.post('/api/store-claims/:id(\\d+)/approve', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Forbidden: only admins can review store claims' });
+    }
+    const claimId = parseInt(req.params.id, 10);
+
+    const { rows } = await client.query('SELECT status FROM store_claims WHERE id = $1', [claimId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+    if (rows[0].status !== 'pending') {
+      return res.status(409).json({ message: `Claim is already ${rows[0].status}` });
+    }
+
+    const claim = await approveClaim(client, claimId, req.user.userId);
+    if (!claim) {
+      return res.status(409).json({ message: 'Store already has a verified owner' });
+    }
+    return res.json(claim);
+  } catch (err) {
+    console.error('Error in POST /api/store-claims/:id/approve:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/store-claims/:id/reject (admin only)
+app.post('/api/store-claims/:id(\\d+)/reject', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Forbidden: only admins can review store claims' });
+    }
+
+    const rejectSql = `
+      UPDATE store_claims
+      SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+    const result = await client.query(rejectSql, [req.params.id, req.user.userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'No pending claim with that id' });
+    }
+    return res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in POST /api/store-claims/:id/reject:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// DELETE /api/stores/:id/owner (admin only) - revoke a store's verified owner
+app.delete('/api/stores/:id(\\d+)/owner', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Forbidden: only admins can revoke ownership' });
+    }
+
+    const sql = 'UPDATE stores SET owner_id = NULL WHERE id = $1 RETURNING id';
+    const result = await client.query(sql, [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Error in DELETE /api/stores/:id/owner:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/*************************************************************
+ *  PRICE HISTORY & STORE ANALYTICS (see deal-analytics.js)
+ *************************************************************/
+// GET /api/stores/:id/items -> [{ item_key, item_name, item_category, events, last_seen }]
+app.get('/api/stores/:id(\\d+)/items', async (req, res) => {
+  try {
+    const rows = await listStoreItems(client, parseInt(req.params.id, 10));
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error in GET /api/stores/:id/items:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/stores/:id/items/:itemKey/price-history
+// -> { item_key, item_name, points: [{ event_id, markdown_at, original_price, discount_price, discount_percentage }],
+//      summary: { events, min_discount_price, median_discount_price, max_original_price, avg_discount_percentage } }
+app.get('/api/stores/:id(\\d+)/items/:itemKey/price-history', async (req, res) => {
+  try {
+    const history = await priceHistory(client, parseInt(req.params.id, 10), req.params.itemKey);
+    if (!history) {
+      return res.status(404).json({ message: 'No price history for that item at this store' });
+    }
+    return res.json(history);
+  } catch (err) {
+    console.error('Error in GET /api/stores/:id/items/:itemKey/price-history:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/discount-events/:id/price-history
+// The history of this event's item at its store, plus where this deal's price sits in it:
+// price_percentile 0 = the cheapest it has ever been, 1 = the most expensive.
+app.get('/api/discount-events/:id(\\d+)/price-history', async (req, res) => {
+  try {
+    const sql = 'SELECT id, store_id, item_key, discount_price FROM discount_events WHERE id = $1';
+    const { rows } = await client.query(sql, [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Discount event not found' });
+    }
+    const event = rows[0];
+
+    const history = await priceHistory(client, event.store_id, event.item_key);
+    return res.json({
+      ...history,
+      event_id: event.id,
+      price_percentile: pricePercentile(history.points, event.discount_price)
+    });
+  } catch (err) {
+    console.error('Error in GET /api/discount-events/:id/price-history:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET /api/stores/:id/analytics?days=90
+// -> { discount_depth: { events, avg/median/p90/max discount_percentage },
+//      by_weekday: [{ weekday: 1-7, name, events }], by_hour: [{ hour: 0-23, events }],
+//      top_categories: [{ item_category, events, avg_discount_percentage }] }
+app.get('/api/stores/:id(\\d+)/analytics', async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : DEFAULT_ANALYTICS_DAYS;
+    if (isNaN(days) || days <= 0 || days > MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({ message: `days must be an integer from 1 to ${MAX_ANALYTICS_DAYS}` });
+    }
+
+    const storeId = parseInt(req.params.id, 10);
+    const store = await getStoreOwner(client, storeId);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    return res.json(await storeAnalytics(client, storeId, days));
+  } catch (err) {
+    console.error('Error in GET /api/stores/:id/analytics:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Helper: validate a discount event body (see validateDiscountEvent), including the checks
+// that need the database. Resolves to { fields, store } or { errors: { field: message } },
+// which the routes send as 422 so forms can show each message next to its input.
+async function checkDiscountEventBody(body) {
+  const { fields, errors = {} } = validateDiscountEvent(body);
+
+  // Report these alongside the other field errors, so check them even if something else failed
+  let store = null;
+  if (!errors.store_id) {
+    store = await getStoreOwner(client, Number(body.store_id));
+    if (!store) errors.store_id = 'store does not exist';
+  }
+  const tagList = parseTagList(body.dietary_tags);
+  if (!errors.dietary_tags && tagList.length > 0) {
+    const unknownTags = await findUnknownTags(client, tagList);
+    if (unknownTags.length > 0) errors.dietary_tags = `unknown tags: ${unknownTags.join(', ')}`;
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { fields, store };
+}
+
+// POST /api/discount-events (logged in)
+// original_price plus discount_price and/or discount_percentage; the missing one is computed.
+// Invalid bodies get 422 { message, errors: { field: message } }.
+// Posts by the store's verified owner are official (is_crowd_sourced = false); everything else is
+// crowd-sourced. is_crowd_sourced in the body is ignored.
+app.post('/api/discount-events', authMiddleware, async (req, res) => {
+  try {
+    const { fields, store, errors } = await checkDiscountEventBody(req.body);
+    if (errors) {
+      return res.status(422).json({ message: 'Validation failed', errors });
+    }
+    const isOfficial = store.ownerId !== null && store.ownerId === req.user.userId;
+
+    const columns = [...EDITABLE_EVENT_COLUMNS, 'is_crowd_sourced', 'author_id', 'total_reviews'];
+    const values = [
+      ...EDITABLE_EVENT_COLUMNS.map((col) => fields[col]),
+      !isOfficial,
+      req.user.userId,
+      0
+    ];
+    const insertSql = `
+      INSERT INTO discount_events (${columns.join(', ')})
+      VALUES (${values.map((_, idx) => `$${idx + 1}`).join(', ')})
+      RETURNING *, ${discountStatusSql('discount_events')} AS status;
+    `;
+
+    const result = await client.query(insertSql, values);
+    const newEvent = result.rows[0];
+
+    // Alert saved searches in the background; the poster doesn't wait for it
+    notifySavedSearches(client, newEvent, alertChannels).catch((err) => {
+      console.error(`Error sending alerts for discount event ${newEvent.id}:`, err);
+    });
+
+    return res.json(newEvent);
+  } catch (err) {
+    console.error('Error in POST /api/discount-events:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+app.get('/api/discount-events/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const queryText = `
+      SELECT e.*, ${discountStatusSql('e')} AS status, ${endsAtSql('e')} AS ends_at
+      FROM discount_events e
+      WHERE e.id = $1
+    `;
+    const result = await client.query(queryText, [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Discount event not found' });
+    }
+    return res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error in GET /api/discount-events/:id:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Helper: the event with its store's owner, or null
+async function findEventWithOwner(eventId) {
+  const sql = `
+    SELECT e.id, e.store_id, e.author_id, e.item_image_url, s.owner_id
+    FROM discount_events e
+    LEFT JOIN stores s ON s.id = e.store_id
+    WHERE e.id = $1
+  `;
+  const { rows } = await client.query(sql, [eventId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// PUT /api/discount-events/:id (logged in) - replaces the event's fields; validated like POST (422)
+// On a store with a verified owner, only the owner (or a moderator/admin) edits directly;
+// anyone else's edit is queued for the owner (202 with { edit }, see /api/discount-event-edits).
+// On an unowned store, only whoever posted it (or a moderator/admin) can edit, as with DELETE.
+// Only moderators/admins can move an event to another store.
+app.put('/api/discount-events/:id', authMiddleware, async (req, res) => {
+  try {
+    // 1) Load the event and its store's owner
+    const event = await findEventWithOwner(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Discount event not found' });
+    }
+    if (event.owner_id === null && event.author_id !== req.user.userId && !isModOrAdmin(req.user)) {
+      return res.status(403).json({ message: 'Forbidden: not allowed to edit this discount event' });
+    }
+
+    // 2) Validate (the store stays the same unless a moderator/admin moves it)
+    const body = { ...req.body };
+    if (!isModOrAdmin(req.user) || body.store_id === undefined) {
+      body.store_id = event.store_id;
+    }
+    const { fields, errors } = await checkDiscountEventBody(body);
+    if (errors) {
+      return res.status(422).json({ message: 'Validation failed', errors });
+    }
+
+    // 3) Someone else's store: queue the edit for the owner
+    if (event.owner_id !== null && !canManageStore(req.user, event.owner_id)) {
+      const insertSql = `
+        INSERT INTO discount_event_edits (event_id, proposed_by, changes)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `;
+      const result = await client.query(insertSql, [event.id, req.user.userId, JSON.stringify(fields)]);
+      return res.status(202).json({
+        message: 'Edit sent to the store owner for confirmation',
+        edit: result.rows[0]
+      });
+    }
+
+    // 4) Apply directly
+    const updated = await replaceDiscountEvent(client, event.id, fields);
+    if (!updated) {
+      return res.status(404).json({ message: 'Discount event not found or no changes made' });
+    }
+    if (event.item_image_url !== updated.item_image_url) {
+      await deleteOrphanedImages(client, storage, [event.item_image_url]);
+    }
+    return res.json(updated);
+  } catch (err) {
+    console.error('Error in PUT /api/discount-events/:id:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// DELETE /api/discount-events/:id (logged in)
+// Owned store: the owner or a moderator/admin. Unowned store: whoever posted it, or a moderator/admin.
+app.delete('/api/discount-events/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await findEventWithOwner(id);
+    if (!event) {
+      return res.status(404).json({ message: 'Discount event not found' });
+    }
+    const allowed = event.owner_id !== null
+      ? canManageStore(req.user, event.owner_id)
+      : (event.author_id === req.user.userId || isModOrAdmin(req.user));
+    if (!allowed) {
+      return res.status(403).json({ message: 'Forbidden: not allowed to delete this discount event' });
+    }
+
+    const deleteSql = 'DELETE FROM discount_events WHERE id = $1 RETURNING *';
+    const result = await client.query(deleteSql, [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Discount event not found' });
+    }
+    await deleteOrphanedImages(client, storage, [result.rows[0].item_image_url]);
+    return res.json({ success: true, deleted: result.rows[0] });
+  } catch (err) {
+    console.error('Error in DELETE /api/discount-events/:id:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/*************************************************************
+ *  DISCOUNT EVENT REVIEWS (see discount-events.js)
+ *************************************************************/
+// GET /api/discount-events/:id/reviews
+// -> [{ id, author_id, author_name, rating, text, still_valid, ... }]
+app.get('/api/discount-events/:id(\\d+)/reviews', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sql = `
+      SELECT rv.*, u.username AS author_name
+      FROM discount_event_reviews rv
+      JOIN users u ON rv.author_id = u.id
+      WHERE rv.event_id = $1
+      ORDER BY rv.updated_at DESC
+    `;
+    const { rows } = await client.query(sql, [id]);
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error in GET /api/discount-events/:id/reviews:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// POST /api/discount-events/:id/reviews
+// Body: { rating: 1-5, text?, still_valid?: true | false }
+// Creates the caller's review, or replaces it if they already have one.
+// -> { review, event: { avg_rating, total_reviews, reported_gone_at } }
+app.post('/api/discount-events/:id(\\d+)/reviews', authMiddleware, async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id, 10);
+    const { rating, text, still_valid } = req.body;
+
+    // 1) Validate
+    const ratingN = Number(rating);
+    if (!Number.isInteger(ratingN) || ratingN < 1 || ratingN > 5) {
+      return res.status(400).json({ message: 'rating must be an integer from 1 to 5' });
+    }
+    if (still_valid !== undefined && still_valid !== null && typeof still_valid !== 'boolean') {
+      return res.status(400).json({ message: 'still_valid must be true, false or null' });
+    }
+
+    const found = await client.query('SELECT id FROM discount_events WHERE id = $1', [eventId]);
+    if (found.rows.length === 0) {
+      return res.status(404).json({ message: 'Discount event not found' });
+    }
+
+    // 2) Upsert the review
+    const upsertSql = `
+      INSERT INTO discount_event_reviews (event_id, author_id, rating, text, still_valid)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (event_id, author_id)
+      DO UPDATE SET
+        rating = EXCLUDED.rating,
+        text = EXCLUDED.text,
+        still_valid = EXCLUDED.still_valid,
+        updated_at = NOW()
+      RETURNING *
+    `;
+    const reviewRes = await client.query(upsertSql, [
+      eventId,
+      req.user.userId,
+      ratingN,
+      text || null,
+      still_valid === undefined ? null : still_valid
+    ]);
+
+    // 3) Recompute the event's rating and gone flag
+    const stats = await refreshReviewStats(client, eventId);
+    return res.json({ review: reviewRes.rows[0], event: stats });
+  } catch (err) {
+    console.error('Error in POST /api/discount-events/:id/reviews:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// DELETE /api/discount-events/:id/reviews/:reviewId
+// The author OR a moderator/admin can delete a review
+app.delete('/api/discount-events/:id(\\d+)/reviews/:reviewId(\\d+)', authMiddleware, async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+
+    // 1) Find the review
+    const checkSql = 'SELECT author_id FROM discount_event_reviews WHERE id = $1 AND event_id = $2';
+    const checkRes = await client.query(checkSql, [reviewId, id]);
+    if (checkRes.rows.length === 0) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    // 2) The review's author OR mod/admin can delete
+    const isAuthor = (checkRes.rows[0].author_id === req.user.userId);
+    if (!isAuthor && !isModOrAdmin(req.user)) {
+      return res.status(403).json({ message: 'Forbidden: only author or mod/admin can delete' });
+    }
+
+    // 3) Delete it and recompute the event's stats
+    await client.query('DELETE FROM discount_event_reviews WHERE id = $1', [reviewId]);
+    const stats = await refreshReviewStats(client, id);
+    return res.json({ success: true, event: stats });
+  } catch (err) {
+    console.error('Error in DELETE /api/discount-events/:id/reviews/:reviewId:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+/*************************************************************
+ *  CROWD-SOURCED EDITS TO OWNED STORES (see store-ownership.js)
+ *************************************************************/
+// GET /api/discount-event-edits?status=pending (logged in)
+// Edits to events of the stores you own; moderators/admins see every store's.
+app.get('/api/discount-event-edits', authMiddleware, async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    if (!['pending', 'accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'status must be pending, accepted or rejected' });
+    }
+
+    const values = [status];
+    let ownerCondition = '';
+    if (!isModOrAdmin(req.user)) {
+      values.push(req.user.userId);
+      ownerCondition = `AND s.owner_id = $${values.length}`;
+    }
+
+    const sql = `
+      SELECT
+        ed.*,
+        u.username AS proposed_by_name,
+        e.store_id,
+        e.item_name
+      FROM discount_event_edits ed
+      JOIN discount_events e ON e.id = ed.event_id
+      JOIN stores s ON s.id = e.store_id
+      JOIN users u ON u.id = ed.proposed_by
+      WHERE ed.status = $1 ${ownerCondition}
+      ORDER BY ed.created_at ASC
+    `;
+    const { rows } = await client.query(sql, values);
+    return res.json(rows);
+  } catch (err) {
+    console.error('Error in GET /api/discount-event-edits:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Helper: a pending edit the current user may review, or an error response
+async function loadReviewableEdit(req, res) {
+  const sql = `
+    SELECT ed.*, e.item_image_url AS current_image_url, s.owner_id
+    FROM discount_event_edits ed
+    JOIN discount_events e ON e.id = ed.event_id
+    LEFT JOIN stores s ON s.id = e.store_id
+    WHERE ed.id = $1
+  `;
+  const { rows } = await client.query(sql, [req.params.id]);
+  if (rows.length === 0) {
+    res.status(404).json({ message: 'Edit not found' });
+    return null;
+  }
+  const edit = rows[0];
+  if (!canManageStore(req.user, edit.owner_id)) {
+    res.status(403).json({ message: 'Forbidden: only the store owner can review this edit' });
+    return null;
+  }
+  if (edit.status !== 'pending') {
+    res.status(409).json({ message: `Edit is already ${edit.status}` });
+    return null;
+  }
+  return edit;
+}
+
+// POST /api/discount-event-edits/:id/accept - apply the proposed changes
+app.post('/api/discount-event-edits/:id(\\d+)/accept', authMiddleware, async (req, res) => {
+  try {
+    const edit = await loadReviewableEdit(req, res);
+    if (!edit) return;
+
+    // Tags (or the store) may have been removed since the edit was proposed
+    const { fields, errors } = await checkDiscountEventBody(edit.changes);
+    if (errors) {
+      return res.status(409).json({ message: 'Edit is no longer valid', errors });
+    }
 
-    // D) Execute
-    const { rows } = await client.query(sql, values);
+    const updated = await replaceDiscountEvent(client, edit.event_id, fields);
+    if (updated && edit.current_image_url !== updated.item_image_url) {
+      await deleteOrphanedImages(client, storage, [edit.current_image_url]);
+    }
+    const markSql = `
+      UPDATE discount_event_edits
+      SET status = 'accepted', reviewed_by = $2, reviewed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await client.query(markSql, [edit.id, req.user.userId]);
+    return res.json({ edit: result.rows[0], event: updated });
+  } catch (err) {
+    console.error('Error in POST /api/discount-event-edits/:id/accept:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
 
-    // E) Return array of matching rows (each has lat, lon, booleans, etc.)
-    res.json(rows);
+// POST /api/discount-event-edits/:id/reject
+app.post('/api/discount-event-edits/:id(\\d+)/reject', authMiddleware, async (req, res) => {
+  try {
+    const edit = await loadReviewableEdit(req, res);
+    if (!edit) return;
 
+    const markSql = `
+      UPDATE discount_event_edits
+      SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await client.query(markSql, [edit.id, req.user.userId]);
+    return res.json(result.rows[0]);
   } catch (err) {
-    console.error('Error in GET /api/restaurants:', err);
+    console.error('Error in POST /api/discount-event-edits/:id/reject:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-app.get('/api/discount-events', async (req, res) => {
+
+/*************************************************************
+ *  SAVED SEARCHES & DEAL ALERTS (see alerts.js)
+ *************************************************************/
+// GET /api/saved-searches (logged in) - the caller's saved searches
+app.get('/api/saved-searches', authMiddleware, async (req, res) => {
   try {
-    // Example: return everything
-    const queryText = 'SELECT * FROM discount_events ORDER BY created_at DESC';
-    const result = await client.query(queryText);
-    return res.json(result.rows);
+    const sql = 'SELECT * FROM saved_searches WHERE user_id = $1 ORDER BY created_at DESC';
+    const { rows } = await client.query(sql, [req.user.userId]);
+    return res.json(rows);
   } catch (err) {
-    console.error('Error in GET /api/discount-events:', err);
+    console.error('Error in GET /api/saved-searches:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-app.post('/api/stores', async (req, res) => {
+// POST /api/saved-searches (logged in)
+// Body: { name: 'Halal near Itaewon', query: { dietary_tags: 'halal', lat: 37.534, lon: 126.994,
+//         radius: 2000, min_discount: 30 } }
+// query takes the GET /api/discount-events filter parameters (see SAVED_SEARCH_PARAMS).
+app.post('/api/saved-searches', authMiddleware, async (req, res) => {
   try {
-    const { store_name, address, store_hours } = req.body;
-    
-    if (!store_name || !address) {
-      return res.status(400).json({ message: 'Missing store_name or address' });
+    const { name } = req.body;
+    if (typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ message: 'name is required' });
+    }
+    const { query, error } = normalizeSearchQuery(req.body.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const countRes = await client.query('SELECT COUNT(*)::int AS n FROM saved_searches WHERE user_id = $1', [
+      req.user.userId
+    ]);
+    if (countRes.rows[0].n >= MAX_SAVED_SEARCHES) {
+      return res.status(409).json({ message: `You can save at most ${MAX_SAVED_SEARCHES} searches` });
     }
 
-    // Insert into "stores" table
     const insertSql = `
-      INSERT INTO stores (store_name, address, store_hours)
+      INSERT INTO saved_searches (user_id, name, query)
       VALUES ($1, $2, $3)
-      RETURNING id, store_name, address, store_hours
+      RETURNING *
     `;
-    const values = [store_name, address, store_hours];
-
-    const result = await client.query(insertSql, values);
-    const newStore = result.rows[0];
-
-    // Return something like { success: true, id: newStore.id }
-    return res.json({
-      success: true,
-      id: newStore.id,
-      store_name: newStore.store_name,
-      address: newStore.address
-    });
+    const result = await client.query(insertSql, [req.user.userId, name.trim(), JSON.stringify(query)]);
+    return res.json(result.rows[0]);
   } catch (err) {
-    console.error('Error in POST /api/stores:', err);
-    return res.status(500).json({ message: 'Internal server error' });
+    console.error('Error in POST /api/saved-searches:', err);
+    res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// GET /api/stores
-// Usage: /api/stores?searchName=MyStore
-// If ?searchName is present, we try to find a store by partial match on store_name.
-// If we find one, return { exists: true, id, store_name, address }.
-// Otherwise, return { exists: false }.
-// If no searchName is provided, just return all stores.
-app.get('/api/stores', async (req, res) => {
+// DELETE /api/saved-searches/:id (logged in, own searches only); its past alerts stay in the inbox
+app.delete('/api/saved-searches/:id(\\d+)', authMiddleware, async (req, res) => {
   try {
-    const { searchName } = req.query;
-
-    // If no searchName, return all stores (or you could choose to return an error instead).
-    if (!searchName) {
-      const allStoresQuery = 'SELECT * FROM stores ORDER BY id ASC';
-      const { rows } = await client.query(allStoresQuery);
-      return res.json(rows); // an array of all stores
-    }
-
-    // Otherwise, search for a store by name (case-insensitive, partial match).
-    // If you'd prefer exact match, use: store_name ILIKE $1
-    const searchSql = `
-      SELECT id, store_name, address
-      FROM stores
-      WHERE store_name ILIKE $1
-      LIMIT 1
-    `;
-    const { rows } = await client.query(searchSql, [`%${searchName}%`]);
-
-    if (rows.length === 0) {
-      // No matching store found
-      return res.json({ exists: false });
+    const deleteSql = 'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id';
+    const result = await client.query(deleteSql, [req.params.id, req.user.userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Saved search not found' });
     }
-
-    // Found at least one store; return the first match
-    const store = rows[0];
-    return res.json({
-      exists: true,
-      id: store.id,
-      store_name: store.store_name,
-      address: store.address
-    });
+    return res.json({ success: true });
   } catch (err) {
-    console.error('Error in GET /api/stores:', err);
+    console.error('Error in DELETE /api/saved-searches/:id:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-app.post('/api/discount-events', async (req, res) => {
+// GET /api/alerts?unread=true&limit=50 (logged in) - the caller's inbox, newest first
+// -> { items: [{ id, saved_search_id, search_name, event_id, item_name, discount_percentage, status, read_at, ... }],
+//      unread_count }
+app.get('/api/alerts', authMiddleware, async (req, res) => {
   try {
-    const {
-      store_id,
-      item_name,
-      item_category,
-      reason,
-      original_price,
-      discount_price,
-      discount_percentage,
-      discount_start,
-      discount_end,
-      expiration_date,
-      quantity,
-      item_image_url,
-      posted_by,
-      store_hours,
-      dietary_tags,    // must be an array if using TEXT[] in DB
-      is_crowd_sourced,
-      avg_rating,
-      total_reviews,
-    } = req.body;
+    const limitN = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+    if (isNaN(limitN) || limitN <= 0) {
+      return res.status(400).json({ message: 'limit must be a positive integer' });
+    }
 
-    // We insert the row normally; the check constraint ensures at least one discount field is present.
-    // The trigger calculates the missing field if only one discount field is provided.
-    const insertSql = `
-      INSERT INTO discount_events (
-        store_id,
-        item_name,
-        item_category,
-        reason,
-        original_price,
-        discount_price,
-        discount_percentage,
-        discount_start,
-        discount_end,
-        expiration_date,
-        quantity,
-        item_image_url,
-        posted_by,
-        store_hours,
-        dietary_tags,
-        is_crowd_sourced,
-        avg_rating,
-        total_reviews
-      )
-      VALUES (
-        $1, $2, $3, $4, $5, $6, $7,
-        $8, $9, $10, $11, $12, $13,
-        $14, $15, $16, $17, $18
-      )
-      RETURNING *;
+    const sql = `
+      SELECT
+        a.*,
+        ss.name AS search_name,
+        e.item_name,
+        e.discount_price,
+        e.discount_percentage,
+        e.item_image_url,
+        ${discountStatusSql('e')} AS status
+      FROM alerts a
+      JOIN discount_events e ON e.id = a.event_id
+      LEFT JOIN saved_searches ss ON ss.id = a.saved_search_id
+      WHERE a.user_id = $1 ${req.query.unread === 'true' ? 'AND a.read_at IS NULL' : ''}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $2
     `;
-    const values = [
-      store_id,
-      item_name,
-      item_category || null,
-      reason || null,
-      original_price,
-      discount_price,
-      discount_percentage,
-      discount_start || null,
-      discount_end || null,
-      expiration_date || null,
-      quantity || null,
-      item_image_url || null,
-      posted_by || null,
-      store_hours || null,
-      dietary_tags || null,
-      is_crowd_sourced !== undefined ? is_crowd_sourced : true,
-      avg_rating || null,
-      total_reviews || 0,
-    ];
-
-    const result = await client.query(insertSql, values);
-    return res.json(result.rows[0]);
+    const countSql = 'SELECT COUNT(*)::int AS n FROM alerts WHERE user_id = $1 AND read_at IS NULL';
+    const [itemsRes, countRes] = await Promise.all([
+      client.query(sql, [req.user.userId, Math.min(limitN, 200)]),
+      client.query(countSql, [req.user.userId])
+    ]);
+    return res.json({ items: itemsRes.rows, unread_count: countRes.rows[0].n });
   } catch (err) {
-    console.error('Error in POST /api/discount-events:', err);
-    // If you violated the check constraint, you'll get a 500 with the relevant error here.
-    res.status(500).json({ message: err.message || 'Internal server error' });
+    console.error('Error in GET /api/alerts:', err);
+    res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-app.get('/api/discount-events/:id', async (req, res) => {
+// GET /api/alerts/unread-count (logged in) - cheap badge polling
+app.get('/api/alerts/unread-count', authMiddleware, async (req, res) => {
   try {
-    const { id } = req.params;
-    const queryText = 'SELECT * FROM discount_events WHERE id = $1';
-    const result = await client.query(queryText, [id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Discount event not found' });
-    }
-    return res.json(result.rows[0]);
+    const countSql = 'SELECT COUNT(*)::int AS n FROM alerts WHERE user_id = $1 AND read_at IS NULL';
+    const { rows } = await client.query(countSql, [req.user.userId]);
+    return res.json({ unread_count: rows[0].n });
   } catch (err) {
-    console.error('Error in GET /api/discount-events/:id:', err);
+    console.error('Error in GET /api/alerts/unread-count:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-app.put('/api/discount-events/:id', async (req, res) => {
+// POST /api/alerts/:id/read (logged in)
+app.post('/api/alerts/:id(\\d+)/read', authMiddleware, async (req, res) => {
   try {
-    const { id } = req.params;
-    const {
-      store_id,
-      item_name,
-      item_category,
-      reason,
-      original_price,
-      discount_price,
-      discount_percentage,
-      discount_start,
-      discount_end,
-      expiration_date,
-      quantity,
-      item_image_url,
-      posted_by,
-      store_hours,
-      dietary_tags,
-      is_crowd_sourced,
-      avg_rating,
-      total_reviews,
-    } = req.body;
-
-    // We'll construct a dynamic update. Simpler approach: update all columns blindly.
-    const updateSql = `
-      UPDATE discount_events
-      SET
-        store_id = $1,
-        item_name = $2,
-        item_category = $3,
-        reason = $4,
-        original_price = $5,
-        discount_price = $6,
-        discount_percentage = $7,
-        discount_start = $8,
-        discount_end = $9,
-        expiration_date = $10,
-        quantity = $11,
-        item_image_url = $12,
-        posted_by = $13,
-        store_hours = $14,
-        dietary_tags = $15,
-        is_crowd_sourced = $16,
-        avg_rating = $17,
-        total_reviews = $18,
-        updated_at = NOW()
-      WHERE id = $19
-      RETURNING *;
+    const sql = `
+      UPDATE alerts SET read_at = COALESCE(read_at, NOW())
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
     `;
-    const values = [
-      store_id,
-      item_name,
-      item_category || null,
-      reason || null,
-      original_price,
-      discount_price,
-      discount_percentage,
-      discount_start || null,
-      discount_end || null,
-      expiration_date || null,
-      quantity || null,
-      item_image_url || null,
-      posted_by || null,
-      store_hours || null,
-      dietary_tags || null,
-      is_crowd_sourced !== undefined ? is_crowd_sourced : true,
-      avg_rating || null,
-      total_reviews || 0,
-      id
-    ];
-
-    const result = await client.query(updateSql, values);
+    const result = await client.query(sql, [req.params.id, req.user.userId]);
     if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Discount event not found or no changes made' });
+      return res.status(404).json({ message: 'Alert not found' });
     }
     return res.json(result.rows[0]);
   } catch (err) {
-    console.error('Error in PUT /api/discount-events/:id:', err);
-    res.status(500).json({ message: err.message || 'Internal server error' });
+    console.error('Error in POST /api/alerts/:id/read:', err);
+    res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-app.delete('/api/discount-events/:id', async (req, res) => {
+// POST /api/alerts/read-all (logged in)
+app.post('/api/alerts/read-all', authMiddleware, async (req, res) => {
   try {
-    const { id } = req.params;
-    const deleteSql = 'DELETE FROM discount_events WHERE id = $1 RETURNING *';
-    const result = await client.query(deleteSql, [id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Discount event not found' });
-    }
-    return res.json({ success: true, deleted: result.rows[0] });
+    const sql = 'UPDATE alerts SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL';
+    const result = await client.query(sql, [req.user.userId]);
+    return res.json({ success: true, marked_read: result.rowCount });
   } catch (err) {
-    console.error('Error in DELETE /api/discount-events/:id:', err);
+    console.error('Error in POST /api/alerts/read-all:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
@@ -588,7 +2189,8 @@ app.delete('/api/discount-events/:id', async (req, res) => {
 //   users (id SERIAL, username VARCHAR, created_at TIMESTAMP, ...)
 //   subcategories (id SERIAL, name VARCHAR, description TEXT, ...)
 //   posts (id SERIAL, title, content, author_id, subcategory_id, upvotes, downvotes, created_at, ...)
-//   comments (id SERIAL, post_id, author_id, text, created_at, ...)
+//   comments (id SERIAL, post_id, author_id, text, parent_id, depth, deleted_at, upvotes, downvotes, created_at, ...)
+//     -- see comment-tree.js (threads, comment_votes)
 //
 // If you have different column names, adapt the queries below accordingly.
 
@@ -762,25 +2364,54 @@ app.get('/api/community/subcategories/:id', async (req, res) => {
   }
 });
 
+// GET trending posts
+//   ?sort=hot|top|controversial|rising|new   (default hot; see ranking.js)
+//   &window=day|week|month|all             (default depends on sort)
+//   &limit=10                              (max MAX_TRENDING_LIMIT)
+//   &subcat=5
 app.get('/api/community/trending', async (req, res) => {
   try {
+    // 1) Parse
+    const ranking = parseRanking(req.query, 'hot');
+    if (ranking.error) {
+      return res.status(400).json({ message: ranking.error });
+    }
+    let limit = DEFAULT_TRENDING_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > MAX_TRENDING_LIMIT) {
+        return res.status(400).json({ message: `limit must be between 1 and ${MAX_TRENDING_LIMIT}` });
+      }
+    }
+
+    // 2) Filters
+    const conditions = [];
+    const values = [];
+    if (ranking.windowSql) {
+      conditions.push(ranking.windowSql);
+    }
+    if (req.query.subcat) {
+      values.push(req.query.subcat);
+      conditions.push(`p.subcategory_id = $${values.length}`);
+    }
+    values.push(limit);
+
     const sql = `
       SELECT
         p.id,
         p.title,
         p.upvotes,
         p.downvotes,
+        p.created_at,
         s.name AS subcat_name,
-        (
-          (p.upvotes + 1)::float / (p.downvotes + 1)::float
-        ) AS ratio
+        ${ranking.score} AS score
       FROM posts p
       LEFT JOIN subcategories s ON p.subcategory_id = s.id
-      WHERE p.created_at >= date_trunc('day', now())  -- "today" only
-      ORDER BY ratio DESC
-      LIMIT 2
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY ${ranking.orderBy}
+      LIMIT $${values.length}
     `;
-    const { rows } = await client.query(sql);
+    const { rows } = await client.query(sql, values);
     res.json(rows);
   } catch (err) {
     console.error("Error in GET /api/community/trending:", err);
@@ -856,26 +2487,38 @@ app.delete('/api/community/subcategories/:id', async (req, res) => {
  *************************************************************/
 
 // GET all posts (optionally filter by subcategory ID)
-app.get('/api/community/posts', async (req, res) => {
+//   ?sort=new|hot|top|controversial|rising&window=day|week|month|all   (default new; see ranking.js)
+// Authenticated callers also get my_vote (1, -1 or 0) on each post.
+app.get('/api/community/posts', optionalAuth, async (req, res) => {
   try {
     const subcat = req.query.subcat; // e.g. ?subcat=5
-    let sql = `SELECT p.*, u.username, s.name AS subcat_name
-               FROM posts p
-               JOIN users u ON p.author_id = u.id
-               LEFT JOIN subcategories s ON p.subcategory_id = s.id
-               ORDER BY p.created_at DESC`;
-    let values = [];
+    const ranking = parseRanking(req.query, 'new');
+    if (ranking.error) {
+      return res.status(400).json({ message: ranking.error });
+    }
 
+    const conditions = [];
+    const values = [];
+    let myVoteColumn = '';
+    if (req.user) {
+      values.push(req.user.userId);
+      myVoteColumn = `, ${myVoteSql('post', 'p', '$1')} AS my_vote`;
+    }
+    if (ranking.windowSql) {
+      conditions.push(ranking.windowSql);
+    }
     if (subcat) {
-      sql = `SELECT p.*, u.username, s.name AS subcat_name
-             FROM posts p
-             JOIN users u ON p.author_id = u.id
-             LEFT JOIN subcategories s ON p.subcategory_id = s.id
-             WHERE p.subcategory_id = $1
-             ORDER BY p.created_at DESC`;
-      values = [subcat];
+      values.push(subcat);
+      conditions.push(`p.subcategory_id = $${values.length}`);
     }
 
+    const sql = `SELECT p.*, u.username, s.name AS subcat_name, ${ranking.score} AS score${myVoteColumn}
+                 FROM posts p
+                 JOIN users u ON p.author_id = u.id
+                 LEFT JOIN subcategories s ON p.subcategory_id = s.id
+                 ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                 ORDER BY ${ranking.orderBy}`;
+
     const result = await client.query(sql, values);
     return res.json(result.rows);
   } catch (err) {
@@ -884,20 +2527,75 @@ app.get('/api/community/posts', async (req, res) => {
   }
 });
 
-// GET a single post by ID
-app.get('/api/community/posts/:id', async (req, res) => {
+// SEARCH posts and comments
+// GET /api/community/search?q=부산 할랄
+//   &type=post|comment        (default both)
+//   &subcat=5&author=alice    (author is a username)
+//   &from=2024-01-01&to=2024-07-01   (created_at, to is exclusive)
+//   &limit=20&offset=0
+//   -> { items: [{ type, id, post_id, post_title, ..., rank, title_snippet, snippet }], next_offset, match }
+// Results contain every query word; only when none do, any of them (match: 'any').
+// Snippets are HTML-escaped with matches wrapped in <mark> (see search.js).
+app.get('/api/community/search', async (req, res) => {
+  try {
+    const { q, type, subcat, author, from, to } = req.query;
+
+    // 1) Validate
+    if (!q || String(q).length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ message: `q is required (up to ${MAX_QUERY_LENGTH} characters)` });
+    }
+    if (!buildTsQuery(String(q))) {
+      return res.status(400).json({ message: 'q must contain letters or numbers' });
+    }
+    if (type !== undefined && type !== 'post' && type !== 'comment') {
+      return res.status(400).json({ message: 'type must be post or comment' });
+    }
+    if (subcat !== undefined && !/^\d+$/.test(subcat)) {
+      return res.status(400).json({ message: 'subcat must be a subcategory id' });
+    }
+    for (const [name, val] of [['from', from], ['to', to]]) {
+      if (val !== undefined && !isSearchDate(val)) {
+        return res.status(400).json({ message: `${name} must be a date as YYYY-MM-DD (e.g. 2024-01-31)` });
+      }
+    }
+    const limitN = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+    const offsetN = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+    if (isNaN(limitN) || limitN <= 0 || isNaN(offsetN) || offsetN < 0) {
+      return res.status(400).json({ message: 'limit must be a positive integer and offset a non-negative one' });
+    }
+
+    // 2) Search
+    const result = await searchCommunity(client, String(q), { type, subcat, author, from, to }, {
+      limit: Math.min(limitN, MAX_COMMUNITY_SEARCH_LIMIT),
+      offset: offsetN
+    });
+    return res.json(result);
+  } catch (err) {
+    console.error('Error in GET /api/community/search:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// GET a single post by ID (with my_vote for authenticated callers)
+app.get('/api/community/posts/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
+    const values = [id];
+    let myVoteColumn = '';
+    if (req.user) {
+      values.push(req.user.userId);
+      myVoteColumn = `, ${myVoteSql('post', 'p', '$2')} AS my_vote`;
+    }
     const sql = `
       SELECT p.*,
              u.username AS author_name,
-             s.name     AS subcat_name
+             s.name     AS subcat_name${myVoteColumn}
       FROM posts p
       JOIN users u ON p.author_id = u.id
       LEFT JOIN subcategories s ON p.subcategory_id = s.id
       WHERE p.id = $1
     `;
-    const { rows } = await client.query(sql, [id]);
+    const { rows } = await client.query(sql, values);
     if (rows.length === 0) {
       return res.status(404).json({ message: 'Post not found' });
     }
@@ -935,6 +2633,7 @@ app.post('/api/community/posts', authMiddleware, async (req, res) => {
     `;
     const values = [title, content, req.user.userId, subcategory_id || null];
     const result = await client.query(insertSql, values);
+    await indexPost(client, result.rows[0]);
 
     return res.json(result.rows[0]);
   } catch (err) {
@@ -980,6 +2679,7 @@ app.put('/api/community/posts/:id', authMiddleware, async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ message: 'Post not found or no changes made' });
     }
+    await indexPost(client, result.rows[0]);
 
     return res.json(result.rows[0]);
   } catch (err) {
@@ -1020,227 +2720,175 @@ app.delete('/api/community/posts/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// UPVOTE a post
-// POST /api/community/posts/:id/upvote
-app.post('/api/community/posts/:id/upvote', authMiddleware, async (req, res) => {
-  try {
-    const postId = parseInt(req.params.id, 10);
-    const userId = req.user.userId; // from the token
-    if (!postId) {
-      return res.status(400).json({ message: 'Invalid post ID' });
-    }
-
-    // 1) Check if the post exists
-    const postCheck = await client.query('SELECT id, upvotes, downvotes FROM posts WHERE id = $1', [postId]);
-    if (postCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-    const post = postCheck.rows[0];
-
-    // 2) Check if there's already a vote row in "post_votes"
-    const voteCheck = await client.query(
-      'SELECT vote_type FROM post_votes WHERE user_id = $1 AND post_id = $2',
-      [userId, postId]
-    );
-
-    if (voteCheck.rows.length === 0) {
-      // No prior vote => Insert new row (+1)
-      await client.query('BEGIN'); // start transaction
-
-      await client.query(
-        'INSERT INTO post_votes (user_id, post_id, vote_type) VALUES ($1, $2, $3)',
-        [userId, postId, +1]
-      );
-
-      // increment the "upvotes" in posts
-      const newUpvotes = post.upvotes + 1;
-      await client.query(
-        'UPDATE posts SET upvotes = $1 WHERE id = $2',
-        [newUpvotes, postId]
-      );
-
-      await client.query('COMMIT');
-
-      return res.json({ success: true, upvotes: newUpvotes, message: 'Upvoted!' });
-
-    } else {
-      // There's an existing vote row
-      const existingVote = voteCheck.rows[0].vote_type; // +1 or -1
+// VOTE on posts and comments
+// body: { vote: 1 | -1 | 0 }   0 clears the caller's vote; repeating a vote changes nothing.
+// Responds with the new counts and the caller's current vote:
+//   { success: true, upvotes, downvotes, my_vote }
+function voteHandler(target, fixedVote) {
+  const notFound = target === 'post' ? 'Post not found' : 'Comment not found';
+  return async (req, res) => {
+    try {
+      const targetId = parseInt(req.params.id, 10);
+      if (!targetId) {
+        return res.status(400).json({ message: `Invalid ${target} ID` });
+      }
+      const vote = fixedVote !== undefined ? fixedVote : parseVote(req.body.vote);
+      if (vote === null) {
+        return res.status(400).json({ message: 'vote must be 1, -1 or 0' });
+      }
 
-      if (existingVote === +1) {
-        // They already upvoted => do nothing or allow un-vote logic
-        return res.json({ success: false, message: 'Already upvoted this post.' });
-      } else {
-        // They had a -1 (downvote) and want to upvote now => switch
-        // So we remove 1 from downvotes, add 1 to upvotes
-        await client.query('BEGIN');
-
-        await client.query(
-          'UPDATE post_votes SET vote_type = $1 WHERE user_id = $2 AND post_id = $3',
-          [+1, userId, postId]
-        );
-
-        // decrement post.downvotes, increment post.upvotes
-        const newUpvotes = post.upvotes + 1;
-        const newDownvotes = post.downvotes - 1;
-        await client.query(
-          'UPDATE posts SET upvotes = $1, downvotes = $2 WHERE id = $3',
-          [newUpvotes, newDownvotes, postId]
-        );
-
-        await client.query('COMMIT');
-
-        return res.json({ success: true, upvotes: newUpvotes, downvotes: newDownvotes, message: 'Changed vote to upvote.' });
+      // 1) Check the target exists (placeholders of deleted comments can't be voted on)
+      const checkSql = target === 'post'
+        ? 'SELECT id FROM posts WHERE id = $1'
+        : 'SELECT id FROM comments WHERE id = $1 AND deleted_at IS NULL';
+      const check = await client.query(checkSql, [targetId]);
+      if (check.rows.length === 0) {
+        return res.status(404).json({ message: notFound });
       }
+
+      // 2) Record the vote and move the counters in one statement
+      const result = await castVote(client, target, req.user.userId, targetId, vote);
+      return res.json({ success: true, ...result });
+    } catch (err) {
+      console.error(`Error in ${target} vote route:`, err);
+      return res.status(500).json({ message: 'Internal server error' });
     }
+  };
+}
 
-  } catch (err) {
-    console.error("Error in upvote route:", err);
-    await client.query('ROLLBACK').catch(() => {}); // in case transaction was started
-    return res.status(500).json({ message: 'Internal server error' });
-  }
-});
+app.post('/api/community/posts/:id/vote', authMiddleware, voteHandler('post'));
+// Older clients: same as vote 1 / -1
+app.post('/api/community/posts/:id/upvote', authMiddleware, voteHandler('post', 1));
+app.post('/api/community/posts/:id/downvote', authMiddleware, voteHandler('post', -1));
 
-// DOWNVOTE a post
-app.post('/api/community/posts/:id/downvote', authMiddleware, async (req, res) => {
+/*************************************************************
+ *  COMMENTS (CRUD)
+ *************************************************************/
+// GET comments (optionally filter by postId)
+//   ?tree=true (needs postId)   nested replies with reply_count / descendant_count
+//   &collapse_depth=3           deeper branches come back empty with collapsed: true
+//   &parentId=42                only the replies under comment 42 (to expand a collapsed branch)
+//   &sort=old|new|best          order of comments and of replies within each thread (default old)
+// Without tree the flat list is returned as before, with parent_id and depth on each row.
+// Authenticated callers also get my_vote on each comment.
+app.get('/api/community/comments', optionalAuth, async (req, res) => {
   try {
-    const postId = parseInt(req.params.id, 10);
-    const userId = req.user.userId; // from the token
-    if (!postId) {
-      return res.status(400).json({ message: 'Invalid post ID' });
-    }
+    const { postId, parentId } = req.query;
+    const tree = req.query.tree === 'true';
 
-    // 1) Check if the post exists
-    const postCheck = await client.query('SELECT id, upvotes, downvotes FROM posts WHERE id = $1', [postId]);
-    if (postCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Post not found' });
+    if (tree && !postId) {
+      return res.status(400).json({ message: 'tree=true requires postId' });
     }
-    const post = postCheck.rows[0];
-
-    // 2) Check if there's already a vote row in "post_votes"
-    const voteCheck = await client.query(
-      'SELECT vote_type FROM post_votes WHERE user_id = $1 AND post_id = $2',
-      [userId, postId]
-    );
-
-    if (voteCheck.rows.length === 0) {
-      // No prior vote => Insert new row (-1)
-      await client.query('BEGIN');
-
-      await client.query(
-        'INSERT INTO post_votes (user_id, post_id, vote_type) VALUES ($1, $2, $3)',
-        [userId, postId, -1]
-      );
-
-      // increment the "downvotes" in posts
-      const newDownvotes = post.downvotes + 1;
-      await client.query(
-        'UPDATE posts SET downvotes = $1 WHERE id = $2',
-        [newDownvotes, postId]
-      );
-
-      await client.query('COMMIT');
-
-      return res.json({ success: true, downvotes: newDownvotes, message: 'Downvoted!' });
-
-    } else {
-      // There's an existing vote row
-      const existingVote = voteCheck.rows[0].vote_type; // +1 or -1
-
-      if (existingVote === -1) {
-        // Already downvoted => do nothing (or you could remove the vote)
-        return res.json({ success: false, message: 'Already downvoted this post.' });
-      } else {
-        // They had a +1 (upvote) and want to downvote now => switch
-        // So we remove 1 from upvotes, add 1 to downvotes
-        await client.query('BEGIN');
-
-        await client.query(
-          'UPDATE post_votes SET vote_type = $1 WHERE user_id = $2 AND post_id = $3',
-          [-1, userId, postId]
-        );
-
-        const newUpvotes = post.upvotes - 1;
-        const newDownvotes = post.downvotes + 1;
-        await client.query(
-          'UPDATE posts SET upvotes = $1, downvotes = $2 WHERE id = $3',
-          [newUpvotes, newDownvotes, postId]
-        );
-
-        await client.query('COMMIT');
-
-        return res.json({
-          success: true,
-          upvotes: newUpvotes,
-          downvotes: newDownvotes,
-          message: 'Changed vote to downvote.'
-        });
+    if (parentId !== undefined && (!tree || !/^\d+$/.test(parentId))) {
+      return res.status(400).json({ message: 'parentId must be a comment id and requires tree=true' });
+    }
+    const sort = req.query.sort || 'old';
+    if (!Object.prototype.hasOwnProperty.call(COMMENT_SORTS, sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(COMMENT_SORTS).join(', ')}` });
+    }
+    let collapseDepth = DEFAULT_COLLAPSE_DEPTH;
+    if (req.query.collapse_depth !== undefined) {
+      collapseDepth = parseInt(req.query.collapse_depth, 10);
+      if (isNaN(collapseDepth) || collapseDepth < 1) {
+        return res.status(400).json({ message: 'collapse_depth must be a positive integer' });
       }
     }
 
-  } catch (err) {
-    console.error("Error in downvote route:", err);
-    await client.query('ROLLBACK').catch(() => {});
-    return res.status(500).json({ message: 'Internal server error' });
-  }
-});
+    const values = [];
+    let myVoteColumn = '';
+    if (req.user) {
+      values.push(req.user.userId);
+      myVoteColumn = `, ${myVoteSql('comment', 'c', '$1')} AS my_vote`;
+    }
 
-/*************************************************************
- *  COMMENTS (CRUD)
- *************************************************************/
-// GET comments (optionally filter by postId)
-app.get('/api/community/comments', async (req, res) => {
-  try {
-    const { postId } = req.query;
     let sql = `
       SELECT c.*,
              u.username AS author_name,
-             p.title    AS post_title
+             p.title    AS post_title${myVoteColumn}
       FROM comments c
       JOIN users u ON c.author_id = u.id
       JOIN posts p ON c.post_id = p.id
-      ORDER BY c.created_at ASC
+      ORDER BY ${COMMENT_SORTS[sort]}
     `;
-    let values = [];
 
     if (postId) {
+      values.push(postId);
       sql = `
         SELECT c.*,
                u.username AS author_name,
-               p.title    AS post_title
+               p.title    AS post_title${myVoteColumn}
         FROM comments c
         JOIN users u ON c.author_id = u.id
         JOIN posts p ON c.post_id = p.id
-        WHERE c.post_id = $1
-        ORDER BY c.created_at ASC
+        WHERE c.post_id = $${values.length}
+        ORDER BY ${COMMENT_SORTS[sort]}
       `;
-      values = [postId];
     }
 
     const result = await client.query(sql, values);
-    return res.json(result.rows);
+    if (!tree) {
+      return res.json(result.rows.map(maskDeleted));
+    }
+
+    const rootId = parentId !== undefined ? Number(parentId) : null;
+    if (rootId !== null && !result.rows.some((row) => row.id === rootId)) {
+      return res.status(404).json({ message: 'Parent comment not found on this post' });
+    }
+    return res.json(buildCommentTree(result.rows, { rootId, collapseDepth }));
   } catch (err) {
     console.error('Error in GET /api/community/comments:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// CREATE a comment
-app.post('/api/community/comments', async (req, res) => {
+// CREATE a comment (parent_id makes it a reply)
+// The author is the logged-in user; like posts, hidden users (visible_to_others=false) can't comment.
+// Replies nest up to MAX_COMMENT_DEPTH levels; replying deeper attaches to the same parent.
+app.post('/api/community/comments', authMiddleware, async (req, res) => {
   try {
-    const { post_id, author_id, text } = req.body;
-    if (!post_id || !author_id || !text) {
-      return res.status(400).json({ message: 'Missing required fields (post_id, author_id, text)' });
+    const { post_id, text, parent_id } = req.body;
+
+    // 1) Check if this user is visibleToOthers
+    const userResult = await client.query(
+      'SELECT visible_to_others FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (userResult.rows[0].visible_to_others === false) {
+      return res.status(403).json({ message: 'You must be visible to others to comment' });
+    }
+
+    // 2) Validate
+    if (!post_id || !text) {
+      return res.status(400).json({ message: 'Missing required fields (post_id, text)' });
+    }
+    const parentId = parent_id === undefined || parent_id === null ? null : parseCommentId(parent_id);
+    if (parent_id !== undefined && parent_id !== null && parentId === null) {
+      return res.status(400).json({ message: 'parent_id must be a comment id' });
+    }
+    const postCheck = await client.query('SELECT id FROM posts WHERE id = $1', [post_id]);
+    if (postCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Post not found' });
     }
 
+    // 3) Where the reply goes in the thread
+    const parent = await resolveParent(client, post_id, parentId);
+    if (parent.error) {
+      return res.status(400).json({ message: parent.error });
+    }
+
+    // 4) Insert
     const insertSql = `
-      INSERT INTO comments (post_id, author_id, text)
-      VALUES ($1, $2, $3)
+      INSERT INTO comments (post_id, author_id, text, parent_id, depth)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING *;
     `;
-    const values = [post_id, author_id, text];
+    const values = [post_id, req.user.userId, text, parent.parentId, parent.depth];
     const result = await client.query(insertSql, values);
-    return res.json(result.rows[0]);
+    await indexComment(client, result.rows[0]);
+    return res.json({ ...result.rows[0], max_depth: MAX_COMMENT_DEPTH });
   } catch (err) {
     console.error('Error in POST /api/community/comments:', err);
     res.status(500).json({ message: 'Internal server error' });
@@ -1258,9 +2906,9 @@ app.put('/api/community/comments/:id', authMiddleware, async (req, res) => {
     }
 
     // 1) Find the comment to see who the author is
-    const checkSql = 'SELECT author_id FROM comments WHERE id = $1';
+    const checkSql = 'SELECT author_id, deleted_at FROM comments WHERE id = $1';
     const checkRes = await client.query(checkSql, [id]);
-    if (checkRes.rows.length === 0) {
+    if (checkRes.rows.length === 0 || checkRes.rows[0].deleted_at) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     const comment = checkRes.rows[0];
@@ -1280,6 +2928,7 @@ app.put('/api/community/comments/:id', authMiddleware, async (req, res) => {
     `;
     const values = [text, id];
     const result = await client.query(updateSql, values);
+    await indexComment(client, result.rows[0]);
     return res.json(result.rows[0]);
   } catch (err) {
     console.error('Error in PUT /api/community/comments/:id:', err);
@@ -1288,37 +2937,45 @@ app.put('/api/community/comments/:id', authMiddleware, async (req, res) => {
 });
 
 // DELETE a comment
-// The author OR a moderator/admin can delete the comment
+// The author OR a moderator/admin can delete the comment.
+// A comment with replies stays as a "[deleted]" placeholder so the thread keeps its shape.
 app.delete('/api/community/comments/:id', authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
 
     // 1) Find the comment
-    const checkSql = 'SELECT author_id FROM comments WHERE id = $1';
+    const checkSql = 'SELECT * FROM comments WHERE id = $1';
     const checkRes = await client.query(checkSql, [id]);
-    if (checkRes.rows.length === 0) {
+    if (checkRes.rows.length === 0 || checkRes.rows[0].deleted_at) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     const comment = checkRes.rows[0];
 
     // 2) The comment’s author OR mod/admin can delete
     const isAuthor = (comment.author_id === req.user.userId);
-    const isModOrAdmin = (req.user.role === 'moderator' || req.user.role === 'admin');
 
-    if (!isAuthor && !isModOrAdmin) {
+    if (!isAuthor && !isModOrAdmin(req.user)) {
       return res.status(403).json({ message: 'Forbidden: only author or mod/admin can delete' });
     }
 
-    // 3) Delete the comment
-    const deleteSql = 'DELETE FROM comments WHERE id = $1 RETURNING *';
-    const result = await client.query(deleteSql, [id]);
-    return res.json({ success: true, deleted: result.rows[0] });
+    // 3) Delete the comment (soft if it has replies); search already skips deleted comments,
+    //    so dropping a placeholder from the index can follow separately
+    const mode = await deleteComment(client, id);
+    if (mode === 'soft') {
+      await unindexComment(client, id);
+    }
+    return res.json({ success: true, deleted: comment, placeholder: mode === 'soft' });
   } catch (err) {
     console.error('Error in DELETE /api/community/comments/:id:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
+// VOTE on a comment (see voteHandler above)
+app.post('/api/community/comments/:id/vote', authMiddleware, voteHandler('comment'));
+app.post('/api/community/comments/:id/upvote', authMiddleware, voteHandler('comment', 1));
+app.post('/api/community/comments/:id/downvote', authMiddleware, voteHandler('comment', -1));
+
 /****************************************************
  *  Authorization routes
  ****************************************************/
@@ -1419,6 +3076,22 @@ function authMiddleware(req, res, next) {
   }
 }
 
+// Like authMiddleware, but anonymous requests go through with req.user unset
+// (for public routes that show the caller's own state, e.g. my_vote). So do requests with an
+// invalid or expired token: a stale token shouldn't lock anyone out of a public page.
+function optionalAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return next();
+  const token = authHeader.split(' ')[1]; // "Bearer <token>"
+
+  try {
+    req.user = jwt.verify(token, "YOUR_JWT_SECRET");
+  } catch(err) {
+    req.user = undefined;
+  }
+  next();
+}
+
 /*
 // Example route for DELETE /api/community/posts/:id
 app.delete('/api/community/posts/:id', authMiddleware, async (req, res) => {
@@ -1599,4 +3272,6 @@ app.get('/api/users/:id/profile', authMiddleware, async (req, res) => {
  ****************************************************/
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
+  startArchiveJob(client, DISCOUNT_ARCHIVE_INTERVAL_MS);
+  startOrphanSweepJob(client, storage, IMAGE_SWEEP_INTERVAL_MS);
 });
\ No newline at end of file
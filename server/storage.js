@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// File storage layer (uploaded images)
+//
+// A backend is any object with:
+//   put(key, buffer, contentType) -> Promise<void>
+//   remove(key)                   -> Promise<void>   (missing keys are not an error)
+//   url(key)                      -> public URL for the key
+// Local disk backends also expose { localDir, publicPath } so server.js can serve the files.
+//
+// Backends:
+//   createLocalStorage({ dir, publicPath, baseUrl }) - files under dir, served at publicPath
+//
+// Keys look like "images/3f9c...e1.jpg" and never contain "..".
+
+function assertSafeKey(key) {
+  if (typeof key !== 'string' || key === '' || key.split('/').some((part) => part === '' || part === '..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+function createLocalStorage({ dir, publicPath = '/uploads', baseUrl = '' }) {
+  const root = path.resolve(dir);
+
+  return {
+    localDir: root,
+    publicPath,
+
+    async put(key, buffer) {
+      assertSafeKey(key);
+      const file = path.join(root, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async remove(key) {
+      assertSafeKey(key);
+      try {
+        await fs.promises.unlink(path.join(root, key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    url(key) {
+      return `${baseUrl}${publicPath}/${key}`;
+    }
+  };
+}
+
+// Pick a backend from the environment:
+//   STORAGE=local (default)  UPLOAD_DIR=./uploads  UPLOAD_BASE_URL=https://api.example.com
+function createStorage() {
+  const backend = process.env.STORAGE || 'local';
+  if (backend === 'local') {
+    return createLocalStorage({
+      dir: process.env.UPLOAD_DIR || `${__dirname}/uploads`,
+      baseUrl: process.env.UPLOAD_BASE_URL || ''
+    });
+  }
+  throw new Error(`Unknown STORAGE backend: ${backend}`);
+}
+
+module.exports = {
+  createLocalStorage,
+  createStorage
+};
@@ -0,0 +1,97 @@
+// Store ownership: verified merchants and the edits they confirm.
+//
+// A user claims a store, an admin approves the claim, and the store gets an owner:
+//   ALTER TABLE stores ADD COLUMN owner_id INT REFERENCES users(id) ON DELETE SET NULL;
+//   store_claims (
+//     id          SERIAL PRIMARY KEY,
+//     store_id    INT NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+//     user_id     INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+//     evidence    TEXT,        -- business registration number, photo URL, ... for the admin to check
+//     status      TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+//     reviewed_by INT REFERENCES users(id) ON DELETE SET NULL,
+//     reviewed_at TIMESTAMP,
+//     created_at  TIMESTAMP DEFAULT NOW()
+//   )
+//   CREATE UNIQUE INDEX store_claims_pending_idx ON store_claims (store_id, user_id) WHERE status = 'pending';
+//
+// Discount events remember who posted them; is_crowd_sourced is no longer client-supplied:
+// an event is official (is_crowd_sourced = false) when the store's owner posts it.
+//   ALTER TABLE discount_events ADD COLUMN author_id INT REFERENCES users(id) ON DELETE SET NULL;
+//
+// On an owned store, edits by anyone but the owner (or a moderator/admin) wait for the owner:
+//   discount_event_edits (
+//     id          SERIAL PRIMARY KEY,
+//     event_id    INT NOT NULL REFERENCES discount_events(id) ON DELETE CASCADE,
+//     proposed_by INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+//     changes     JSONB NOT NULL,   -- the PUT body, applied as-is on accept
+//     status      TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+//     reviewed_by INT REFERENCES users(id) ON DELETE SET NULL,
+//     reviewed_at TIMESTAMP,
+//     created_at  TIMESTAMP DEFAULT NOW()
+//   )
+
+function isModOrAdmin(user) {
+  return user.role === 'admin' || user.role === 'moderator';
+}
+
+// May this user manage the events of a store with this owner? (the owner, or a moderator/admin)
+function canManageStore(user, ownerId) {
+  return (ownerId !== null && ownerId === user.userId) || isModOrAdmin(user);
+}
+
+// Resolves to { ownerId } (null when unowned), or null if there is no such store
+async function getStoreOwner(client, storeId) {
+  const { rows } = await client.query('SELECT owner_id FROM stores WHERE id = $1', [storeId]);
+  return rows.length > 0 ? { ownerId: rows[0].owner_id } : null;
+}
+
+// May this user edit the store itself (name, address, hours)? Unlike posting deals, editing an
+// unowned store is not open to everyone: only the owner, or a moderator/admin.
+// Resolves to { ownerId }, or { status: 404 | 403, error }.
+async function authorizeStoreEdit(client, user, storeId) {
+  const owner = await getStoreOwner(client, storeId);
+  if (!owner) {
+    return { status: 404, error: 'Store not found' };
+  }
+  if (!canManageStore(user, owner.ownerId)) {
+    return { status: 403, error: 'Forbidden: only the store owner or mods/admins can edit this store' };
+  }
+  return owner;
+}
+
+// Approve a pending claim: the claimant becomes the owner and competing pending claims
+// for the same store are rejected, in one statement. Resolves to the claim, or null if the
+// claim isn't pending or the store already has an owner.
+async function approveClaim(client, claimId, reviewerId) {
+  const sql = `
+    WITH
+      claim AS (
+        UPDATE store_claims c
+        SET status = 'approved', reviewed_by = $2, reviewed_at = NOW()
+        WHERE c.id = $1
+          AND c.status = 'pending'
+          AND NOT EXISTS (SELECT 1 FROM stores s WHERE s.id = c.store_id AND s.owner_id IS NOT NULL)
+        RETURNING c.*
+      ),
+      owner AS (
+        UPDATE stores s SET owner_id = claim.user_id FROM claim WHERE s.id = claim.store_id
+      ),
+      others AS (
+        UPDATE store_claims c
+        SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW()
+        FROM claim
+        WHERE c.store_id = claim.store_id AND c.id <> claim.id AND c.status = 'pending'
+      )
+    SELECT * FROM claim
+  `;
+  const { rows } = await client.query(sql, [claimId, reviewerId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+module.exports = {
+  isModOrAdmin,
+  canManageStore,
+  getStoreOwner,
+  authorizeStoreEdit,
+  approveClaim
+};
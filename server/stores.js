@@ -0,0 +1,223 @@
+const { PLACE_COLUMNS, placeValues } = require('./geocoder');
+const { compact, toChosung, romanize, conventionalSpelling, isChosungQuery } = require('./hangul');
+
+// Store persistence. Stores are geocoded exactly like restaurants (see geocoder.js):
+//   ALTER TABLE stores
+//     ADD COLUMN "si/do" TEXT,
+//     ADD COLUMN "si/gun/gu" TEXT,
+//     ADD COLUMN "eup/myeon/dong" TEXT,
+//     ADD COLUMN "postal code" TEXT,
+//     ADD COLUMN "road name" TEXT,
+//     ADD COLUMN geom GEOGRAPHY(Point, 4326);
+//   CREATE INDEX stores_geom_idx ON stores USING GIST (geom);
+// Stores created before this have geom NULL until backfill-stores.js geocodes them.
+//
+// Name search (searchStores) uses pg_trgm over the name and two keys kept in sync on every write
+// (see hangul.js): the initial consonants ("ㅇㅁㅌ") and the Latin spellings, space-separated:
+// the romanization ("imateu"), the usual spelling ("emart") and any name_aliases given for the
+// store (e.g. ["E-Mart Everyday"], for spellings the built-in table doesn't know).
+//   CREATE EXTENSION IF NOT EXISTS pg_trgm;
+//   ALTER TABLE stores ADD COLUMN name_chosung TEXT, ADD COLUMN name_roman TEXT;
+//   ALTER TABLE stores ADD COLUMN name_aliases TEXT[] NOT NULL DEFAULT '{}';
+//   CREATE INDEX stores_name_trgm_idx ON stores USING GIN (store_name gin_trgm_ops);
+//   CREATE INDEX stores_name_chosung_trgm_idx ON stores USING GIN (name_chosung gin_trgm_ops);
+//   CREATE INDEX stores_name_roman_trgm_idx ON stores USING GIN (name_roman gin_trgm_ops);
+// backfill-stores.js also refreshes the keys of existing stores.
+
+// Columns returned by the store routes
+const STORE_COLUMNS_SQL = `
+  id,
+  store_name,
+  address,
+  store_hours,
+  owner_id,
+  name_aliases,
+  "si/do",
+  "si/gun/gu",
+  "eup/myeon/dong",
+  "postal code",
+  "road name",
+  ST_X(geom::geometry) AS lon,
+  ST_Y(geom::geometry) AS lat
+`;
+
+const MAX_NAME_ALIASES = 10;
+const MAX_NAME_ALIAS_LENGTH = 100;
+
+// name_aliases from a request body: a list or a comma-separated string.
+// Returns { aliases } (trimmed, unique, possibly empty) or { error }.
+function parseNameAliases(val) {
+  if (val === undefined || val === null || val === '') return { aliases: [] };
+  if (typeof val !== 'string' && !(Array.isArray(val) && val.every((a) => typeof a === 'string'))) {
+    return { error: 'name_aliases must be a list of names or a comma-separated string' };
+  }
+  const parts = Array.isArray(val) ? val : val.split(',');
+  const aliases = [...new Set(parts.map((a) => a.trim()).filter(Boolean))];
+  if (aliases.length > MAX_NAME_ALIASES || aliases.some((a) => a.length > MAX_NAME_ALIAS_LENGTH)) {
+    return { error: `name_aliases allows at most ${MAX_NAME_ALIASES} names of up to ${MAX_NAME_ALIAS_LENGTH} characters` };
+  }
+  return { aliases };
+}
+
+// Search keys for a store name, in the order of the name_chosung / name_roman columns
+function nameSearchKeys(storeName, aliases = []) {
+  const spellings = [romanize(storeName), conventionalSpelling(storeName), ...aliases.map(compact)];
+  return [toChosung(storeName), [...new Set(spellings.filter(Boolean))].join(' ')];
+}
+
+// Insert a new store.
+//   fields: { store_name, address, store_hours, name_aliases? }
+//   place:  a geocoder candidate for address
+// Resolves to the new row (STORE_COLUMNS_SQL).
+async function insertStore(client, fields, place) {
+  const insertSql = `
+    INSERT INTO stores (
+      store_name,
+      address,
+      store_hours,
+      name_aliases,
+      name_chosung,
+      name_roman,
+      ${PLACE_COLUMNS.join(', ')},
+      geom
+    )
+    VALUES (
+      $1, $2, $3, $4, $5, $6,
+      $7, $8, $9, $10, $11,
+      ST_SetSRID(ST_MakePoint($12, $13), 4326)::geography
+    )
+    RETURNING ${STORE_COLUMNS_SQL}
+  `;
+
+  const aliases = fields.name_aliases || [];
+  const values = [
+    fields.store_name,
+    fields.address,
+    fields.store_hours || null,
+    aliases,
+    ...nameSearchKeys(fields.store_name, aliases),
+    ...placeValues(place),
+    place.lon,
+    place.lat
+  ];
+
+  const { rows } = await client.query(insertSql, values);
+  return rows[0];
+}
+
+// Partially update a store.
+//   fields: any of { store_name, store_hours, name_aliases } (undefined = leave as is),
+//           plus address when place is given
+//   place:  new geocoder candidate, or null to keep the current location
+// Resolves to the updated row, or null if there is no such store.
+async function updateStore(client, id, fields, place = null) {
+  const sets = [];
+  const values = [];
+
+  for (const col of ['store_name', 'store_hours', 'name_aliases']) {
+    if (fields[col] !== undefined) {
+      values.push(fields[col]);
+      sets.push(`${col} = $${values.length}`);
+    }
+  }
+  if (fields.store_name !== undefined || fields.name_aliases !== undefined) {
+    // The keys need both; fill in whichever isn't changing
+    let { store_name: storeName, name_aliases: aliases } = fields;
+    if (storeName === undefined || aliases === undefined) {
+      const current = await client.query('SELECT store_name, name_aliases FROM stores WHERE id = $1', [id]);
+      if (current.rows.length === 0) return null;
+      storeName = storeName !== undefined ? storeName : current.rows[0].store_name || '';
+      aliases = aliases !== undefined ? aliases : current.rows[0].name_aliases || [];
+    }
+    const [chosung, roman] = nameSearchKeys(storeName, aliases);
+    values.push(chosung, roman);
+    sets.push(`name_chosung = $${values.length - 1}`, `name_roman = $${values.length}`);
+  }
+
+  if (place) {
+    placeValues(place).forEach((val, idx) => {
+      values.push(val);
+      sets.push(`${PLACE_COLUMNS[idx]} = $${values.length}`);
+    });
+    values.push(fields.address);
+    sets.push(`address = $${values.length}`);
+    values.push(place.lon, place.lat);
+    sets.push(`geom = ST_SetSRID(ST_MakePoint($${values.length - 1}, $${values.length}), 4326)::geography`);
+  }
+
+  values.push(id);
+  const sql = sets.length > 0
+    ? `UPDATE stores SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING ${STORE_COLUMNS_SQL}`
+    : `SELECT ${STORE_COLUMNS_SQL} FROM stores WHERE id = $${values.length}`;
+  const { rows } = await client.query(sql, values);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Escape LIKE wildcards so user input matches literally
+function escapeLike(str) {
+  return str.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+// Ranked store name search. Resolves to { items: [...store, score], next_offset }.
+//   "ㅇㅁㅌ"   -> initial consonants: substring of name_chosung, prefix matches first
+//   "이마", "emart", "imateu" -> substring or trigram word similarity on the name and its Latin spellings
+// Scores are 0..1; a name that starts with the query scores 1.
+async function searchStores(client, q, { limit, offset }) {
+  const values = [];
+  let scoreSql;
+  let matchSql;
+
+  if (isChosungQuery(q)) {
+    const key = compact(q);
+    values.push(key, escapeLike(key));
+    scoreSql = `
+      CASE
+        WHEN name_chosung LIKE $2 || '%' THEN 1
+        ELSE 0.5 + 0.4 * similarity(name_chosung, $1)
+      END
+    `;
+    matchSql = `name_chosung LIKE '%' || $2 || '%'`;
+  } else {
+    const name = q.trim();
+    const roman = romanize(name);
+    values.push(name, escapeLike(name), roman, escapeLike(roman));
+    scoreSql = `
+      CASE
+        WHEN store_name ILIKE $2 || '%' OR name_roman LIKE $4 || '%' THEN 1
+        WHEN store_name ILIKE '%' || $2 || '%' OR name_roman LIKE '%' || $4 || '%' THEN 0.9
+        ELSE GREATEST(similarity(store_name, $1), word_similarity($3, name_roman))
+      END
+    `;
+    matchSql = `
+      store_name ILIKE '%' || $2 || '%'
+      OR name_roman LIKE '%' || $4 || '%'
+      OR store_name % $1
+      OR $3 <% name_roman
+    `;
+  }
+
+  values.push(limit + 1, offset);
+  const sql = `
+    SELECT ${STORE_COLUMNS_SQL}, ROUND((${scoreSql})::numeric, 3) AS score
+    FROM stores
+    WHERE ${matchSql}
+    ORDER BY score DESC, length(store_name) ASC, id ASC
+    LIMIT $${values.length - 1} OFFSET $${values.length}
+  `;
+  const { rows } = await client.query(sql, values);
+
+  return {
+    items: rows.slice(0, limit),
+    next_offset: rows.length > limit ? offset + limit : null
+  };
+}
+
+module.exports = {
+  STORE_COLUMNS_SQL,
+  parseNameAliases,
+  nameSearchKeys,
+  escapeLike,
+  searchStores,
+  insertStore,
+  updateStore
+};
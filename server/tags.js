@@ -0,0 +1,165 @@
+// Tag taxonomy shared by restaurants and discount events.
+//
+// Tags are data, managed by admins through /api/tags:
+//   tags (
+//     id         SERIAL PRIMARY KEY,
+//     slug       TEXT UNIQUE NOT NULL,          -- e.g. 'halal', 'kosher', 'nut_free'
+//     labels     JSONB NOT NULL DEFAULT '{}',   -- e.g. {"en": "Halal", "ko": "할랄"}
+//     created_at TIMESTAMP DEFAULT NOW()
+//   )
+// Restaurants keep their tag slugs in restaurants.tags (TEXT[], GIN indexed), and discount
+// events keep theirs in the existing discount_events.dietary_tags (TEXT[]).
+//
+// Migration from the eight boolean columns:
+//   INSERT INTO tags (slug, labels) VALUES
+//     ('english_speaking', '{"en": "English speaking", "ko": "영어 가능"}'),
+//     ('vegan', '{"en": "Vegan", "ko": "비건"}'),
+//     ('vegetarian', '{"en": "Vegetarian", "ko": "채식"}'),
+//     ('no_pork', '{"en": "No pork", "ko": "돼지고기 없음"}'),
+//     ('halal', '{"en": "Halal", "ko": "할랄"}'),
+//     ('no_beef', '{"en": "No beef", "ko": "소고기 없음"}'),
+//     ('gluten_free', '{"en": "Gluten free", "ko": "글루텐 프리"}'),
+//     ('allows_foreigners', '{"en": "Foreigners welcome", "ko": "외국인 환영"}');
+//   ALTER TABLE restaurants ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}';
+//   UPDATE restaurants SET tags = array_remove(ARRAY[
+//     CASE WHEN english_speaking THEN 'english_speaking' END,
+//     CASE WHEN vegan THEN 'vegan' END,
+//     CASE WHEN vegetarian THEN 'vegetarian' END,
+//     CASE WHEN no_pork THEN 'no_pork' END,
+//     CASE WHEN halal THEN 'halal' END,
+//     CASE WHEN no_beef THEN 'no_beef' END,
+//     CASE WHEN gluten_free THEN 'gluten_free' END,
+//     CASE WHEN allows_foreigners THEN 'allows_foreigners' END
+//   ], NULL);
+//   CREATE INDEX restaurants_tags_idx ON restaurants USING GIN (tags);
+//   CREATE INDEX discount_events_dietary_tags_idx ON discount_events USING GIN (dietary_tags);
+//   ALTER TABLE restaurants
+//     DROP COLUMN english_speaking, DROP COLUMN vegan, DROP COLUMN vegetarian, DROP COLUMN no_pork,
+//     DROP COLUMN halal, DROP COLUMN no_beef, DROP COLUMN gluten_free, DROP COLUMN allows_foreigners;
+
+// The old boolean fields. Still accepted on input and as query filters
+// (vegan=true / vegan=false) so existing clients keep working.
+const LEGACY_TAG_FIELDS = [
+  'english_speaking',
+  'vegan',
+  'vegetarian',
+  'no_pork',
+  'halal',
+  'no_beef',
+  'gluten_free',
+  'allows_foreigners'
+];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:_[a-z0-9]+)*$/;
+
+// "halal,vegan", "halal|vegan", ['halal', 'vegan'] -> ['halal', 'vegan'] (trimmed, lower-cased, unique)
+function parseTagList(val) {
+  if (val === undefined || val === null || val === '') return [];
+  const parts = Array.isArray(val) ? val : String(val).split(/[,|;]/);
+  const slugs = parts.map((p) => String(p).trim().toLowerCase()).filter(Boolean);
+  return [...new Set(slugs)];
+}
+
+// Legacy boolean inputs: true / false, or "true" / "false" as query strings and forms send them.
+// Returns null for anything else.
+function parseLegacyBool(val) {
+  if (val === true || val === 'true') return true;
+  if (val === false || val === 'false') return false;
+  return null;
+}
+
+// Legacy fields in the body whose values aren't booleans, plus "tags" if it isn't a list
+function invalidTagFields(body) {
+  const invalid = LEGACY_TAG_FIELDS.filter((f) => body[f] !== undefined && parseLegacyBool(body[f]) === null);
+  if (body.tags !== undefined && body.tags !== null && typeof body.tags !== 'string' && !Array.isArray(body.tags)) {
+    invalid.push('tags');
+  }
+  return invalid;
+}
+
+// Combine an explicit "tags" list with any legacy booleans set to true (or "true").
+// Returns undefined if the body mentions neither (so partial updates leave tags alone).
+function tagsFromBody(body, parseBool = (v) => parseLegacyBool(v) === true) {
+  const mentioned = body.tags !== undefined || LEGACY_TAG_FIELDS.some((f) => body[f] !== undefined);
+  if (!mentioned) return undefined;
+
+  let tags = parseTagList(body.tags);
+  for (const field of LEGACY_TAG_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (parseBool(body[field])) {
+      tags.push(field);
+    } else {
+      tags = tags.filter((t) => t !== field);
+    }
+  }
+  return [...new Set(tags)];
+}
+
+// Slugs from the list that are not in the taxonomy
+async function findUnknownTags(client, slugs) {
+  if (slugs.length === 0) return [];
+  const { rows } = await client.query('SELECT slug FROM tags WHERE slug = ANY($1::text[])', [slugs]);
+  const known = new Set(rows.map((r) => r.slug));
+  return slugs.filter((s) => !known.has(s));
+}
+
+async function listTagSlugs(client) {
+  const { rows } = await client.query('SELECT slug FROM tags ORDER BY slug ASC');
+  return rows.map((r) => r.slug);
+}
+
+// Build tag filter conditions for a TEXT[] column:
+//   ?tags_all=halal,no_pork   -> has every tag      (column @> ...)
+//   ?tags_any=vegan,vegetarian -> has at least one  (column && ...)
+//   ?tags_none=no_beef        -> has none of them   (NOT column && ...)
+//   ?halal=true / ?halal=false -> legacy form of tags_all / tags_none
+// Placeholder values are appended to `values`; returns the array of SQL conditions.
+function buildTagConditions(query, values, column) {
+  const all = parseTagList(query.tags_all);
+  const any = parseTagList(query.tags_any);
+  const none = parseTagList(query.tags_none);
+
+  for (const field of LEGACY_TAG_FIELDS) {
+    if (query[field] === 'true') all.push(field);
+    if (query[field] === 'false') none.push(field);
+  }
+
+  const conditions = [];
+  if (all.length > 0) {
+    values.push(all);
+    conditions.push(`${column} @> $${values.length}::text[]`);
+  }
+  if (any.length > 0) {
+    values.push(any);
+    conditions.push(`${column} && $${values.length}::text[]`);
+  }
+  if (none.length > 0) {
+    values.push(none);
+    conditions.push(`NOT (COALESCE(${column}, '{}') && $${values.length}::text[])`);
+  }
+  return conditions;
+}
+
+// Label in the requested language, falling back to English, then the slug
+function localizeTag(row, lang) {
+  const labels = row.labels || {};
+  return {
+    id: row.id,
+    slug: row.slug,
+    label: (lang && labels[lang]) || labels.en || row.slug,
+    labels
+  };
+}
+
+module.exports = {
+  LEGACY_TAG_FIELDS,
+  SLUG_PATTERN,
+  parseTagList,
+  parseLegacyBool,
+  invalidTagFields,
+  tagsFromBody,
+  findUnknownTags,
+  listTagSlugs,
+  buildTagConditions,
+  localizeTag
+};
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSearchQuery, matchSavedSearches } = require('../alerts');
+
+test('normalizeSearchQuery keeps known parameters as strings', () => {
+  assert.deepEqual(normalizeSearchQuery({ dietary_tags: ['halal', 'vegan'], min_discount: 30, lat: null }), {
+    query: { dietary_tags: 'halal,vegan', min_discount: '30' }
+  });
+});
+
+test('normalizeSearchQuery rejects unknown, empty and invalid queries', () => {
+  assert.match(normalizeSearchQuery({ sort: 'newest' }).error, /Unsupported search parameters: sort/);
+  assert.match(normalizeSearchQuery({ lat: '' }).error, /at least one/);
+  assert.match(normalizeSearchQuery({ min_discount: 'lots' }).error, /min_discount must be a number/);
+  assert.match(normalizeSearchQuery({ lat: '37.5' }).error, /lat and lon/);
+  assert.match(normalizeSearchQuery([]).error, /must be an object/);
+});
+
+test('matchSavedSearches: an invalid saved search leaves no unused parameters in the batch', async () => {
+  const queries = [];
+  const client = {
+    async query(sql, values) {
+      queries.push({ sql, values });
+      return { rows: [{ search_id: 3 }] };
+    }
+  };
+  const searches = [
+    { id: 1, query: { min_discount: '30' } },
+    { id: 2, query: { lat: '37.5', lon: '127', store_id: '4', min_price: 'cheap' } }, // saved under older rules
+    { id: 3, query: { min_price: '1000' } }
+  ];
+
+  const matched = await matchSavedSearches(client, 9, searches);
+  assert.deepEqual([...matched], [3]);
+  assert.equal(queries.length, 1);
+
+  const { sql, values } = queries[0];
+  const used = new Set([...sql.matchAll(/\$(\d+)/g)].map((m) => Number(m[1])));
+  assert.deepEqual([...used].sort((a, b) => a - b), values.map((_, idx) => idx + 1));
+  assert.ok(!values.includes(127) && !values.includes(4) && !values.includes(2));
+});
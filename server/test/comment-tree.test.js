@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { wilsonScoreSql, parseCommentId, buildCommentTree, DELETED_PLACEHOLDER } = require('../comment-tree');
+
+// Evaluate the SQL score in JS: "CASE WHEN <cond> THEN 0 ELSE <expr> END" over numbers
+function wilson(up, down) {
+  const m = /^CASE WHEN (.*) THEN 0 ELSE ([\s\S]*) END$/.exec(wilsonScoreSql('up', 'down').trim());
+  const js = (sql) => sql.replace(/::float/g, '').replace(/SQRT/g, 'Math.sqrt').replace(/ = /g, ' === ');
+  return new Function('up', 'down', `return (${js(m[1])}) ? 0 : (${js(m[2])});`)(up, down);
+}
+
+test('wilsonScoreSql: 0 without votes, between 0 and 1 otherwise', () => {
+  assert.equal(wilson(0, 0), 0);
+  assert.ok(wilson(1, 0) > 0 && wilson(1, 0) < 1);
+  assert.equal(wilson(0, 5), 0);
+});
+
+test('wilsonScoreSql: many mostly-positive votes beat a single upvote', () => {
+  assert.ok(wilson(30, 2) > wilson(1, 0));
+  assert.ok(Math.abs(wilson(1, 0) - 0.2065) < 0.001);
+});
+
+test('parseCommentId: positive integers or all-digit strings only', () => {
+  assert.equal(parseCommentId(5), 5);
+  assert.equal(parseCommentId('12'), 12);
+  for (const bad of [true, false, '', '  1 ', '1.5', 1.5, 0, '0', -1, '-1', 'x', [1], {}]) {
+    assert.equal(parseCommentId(bad), null, `parseCommentId(${JSON.stringify(bad)})`);
+  }
+});
+
+// rows in display order, as the route fetches them
+const ROWS = [
+  { id: 1, parent_id: null, text: 'a', author_id: 1, deleted_at: null },
+  { id: 2, parent_id: 1, text: 'b', author_id: 2, deleted_at: new Date() },
+  { id: 3, parent_id: 2, text: 'c', author_id: 1, deleted_at: null },
+  { id: 4, parent_id: 3, text: 'd', author_id: 2, deleted_at: null },
+  { id: 5, parent_id: null, text: 'e', author_id: 3, deleted_at: null }
+];
+
+test('buildCommentTree: nests replies, counts them and masks deleted comments', () => {
+  const tree = buildCommentTree(ROWS);
+  assert.deepEqual(tree.map((n) => n.id), [1, 5]);
+  assert.equal(tree[0].reply_count, 1);
+  assert.equal(tree[0].descendant_count, 3);
+
+  const deleted = tree[0].replies[0];
+  assert.equal(deleted.text, DELETED_PLACEHOLDER);
+  assert.equal(deleted.author_id, null);
+  assert.equal(deleted.deleted, true);
+});
+
+test('buildCommentTree: collapses below collapseDepth and expands from rootId', () => {
+  const tree = buildCommentTree(ROWS, { collapseDepth: 2 });
+  const second = tree[0].replies[0];
+  assert.equal(second.collapsed, true);
+  assert.deepEqual(second.replies, []);
+  assert.equal(second.descendant_count, 2);
+
+  const branch = buildCommentTree(ROWS, { rootId: 2 });
+  assert.deepEqual(branch.map((n) => n.id), [3]);
+  assert.equal(branch[0].replies[0].id, 4);
+});
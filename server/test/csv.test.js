@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvRows, stringifyCsv } = require('../csv');
+
+test('stringifyCsv quotes commas, quotes and newlines', () => {
+  const csv = stringifyCsv([{ name: 'Kim, Lee', note: 'say "hi"', address: 'line 1\nline 2', tags: ['halal', 'vegan'] }]);
+  assert.equal(csv, 'name,note,address,tags\r\n"Kim, Lee","say ""hi""","line 1\nline 2",halal|vegan\r\n');
+});
+
+test('stringifyCsv writes nulls as empty fields and keeps the given columns', () => {
+  assert.equal(stringifyCsv([{ a: null, b: 1 }], ['b', 'a']), 'b,a\r\n1,\r\n');
+});
+
+test('parseCsv reads back what stringifyCsv writes', () => {
+  const rows = [{ name: 'Kim, Lee', note: 'say "hi"', address: 'line 1\r\nline 2' }];
+  assert.deepEqual(parseCsv(stringifyCsv(rows)), rows);
+});
+
+test('parseCsvRows: BOM, CRLF, blank lines and unterminated quotes', () => {
+  assert.deepEqual(parseCsvRows('﻿a,b\r\n\r\n1,2'), [['a', 'b'], ['1', '2']]);
+  assert.throws(() => parseCsvRows('a,"b'), /unterminated/);
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pricePercentile } = require('../deal-analytics');
+
+const POINTS = [{ discount_price: '1000' }, { discount_price: '1500' }, { discount_price: '2000' }, { discount_price: null }];
+
+test('pricePercentile: share of seen prices below this one', () => {
+  assert.equal(pricePercentile(POINTS, 900), 0);
+  assert.equal(pricePercentile(POINTS, 1000), 0);
+  assert.equal(pricePercentile(POINTS, '1800'), 0.67);
+  assert.equal(pricePercentile(POINTS, 5000), 1);
+});
+
+test('pricePercentile: null without a price or a history', () => {
+  assert.equal(pricePercentile([], 1000), null);
+  assert.equal(pricePercentile(POINTS, null), null);
+});
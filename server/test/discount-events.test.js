@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDiscountEvent } = require('../discount-events');
+
+function validate(overrides) {
+  return validateDiscountEvent({ store_id: 1, item_name: '우유', ...overrides });
+}
+
+test('validateDiscountEvent: the discount price or percentage is computed from the other', () => {
+  const byPrice = validate({ original_price: 3000, discount_price: 2000 }).fields;
+  assert.equal(byPrice.discount_percentage, 33.33);
+  const byPct = validate({ original_price: 3000, discount_percentage: 30 }).fields;
+  assert.equal(byPct.discount_price, 2100);
+});
+
+test('validateDiscountEvent: original_price is derived from discount price and percentage', () => {
+  const { fields } = validate({ discount_price: 1500, discount_percentage: 50 });
+  assert.equal(fields.original_price, 3000);
+  assert.equal(fields.discount_price, 1500);
+  assert.equal(fields.discount_percentage, 50);
+});
+
+test('validateDiscountEvent: original_price is required when it cannot be derived', () => {
+  assert.match(validate({ discount_price: 1500 }).errors.original_price, /is required/);
+  assert.match(validate({ discount_percentage: 30 }).errors.original_price, /is required/);
+  assert.match(validate({ discount_price: 0, discount_percentage: 100 }).errors.original_price, /100/);
+});
+
+test('validateDiscountEvent: all three prices must agree', () => {
+  assert.ok(validate({ original_price: 3000, discount_price: 2000, discount_percentage: 33 }).fields);
+  const { errors } = validate({ original_price: 3000, discount_price: 2000, discount_percentage: 50 });
+  assert.match(errors.discount_percentage, /does not match/);
+  assert.match(validate({ original_price: 1000, discount_price: 2000 }).errors.discount_price, /more than/);
+  assert.match(validate({ original_price: 0, discount_percentage: 10 }).errors.original_price, /greater than 0/);
+});
+
+test('validateDiscountEvent: a price is required besides original_price', () => {
+  assert.match(validate({ original_price: 3000 }).errors.discount_price, /is required/);
+});
+
+test('validateDiscountEvent: discount dates are compared as wall-clock times', () => {
+  const prices = { original_price: 3000, discount_price: 2000 };
+  assert.ok(validate({ ...prices, discount_start: '2025-03-01', discount_end: '2025-03-01T06:00' }).fields);
+  assert.ok(validate({ ...prices, discount_start: '2025-03-01T18:00', discount_end: '2025-03-01T20:00+09:00' }).fields);
+  const { errors } = validate({ ...prices, discount_start: '2025-03-01T10:00', discount_end: '2025-03-01' });
+  assert.match(errors.discount_end, /before discount_start/);
+  assert.match(validate({ ...prices, discount_end: 'next friday' }).errors.discount_end, /ISO 8601/);
+});
+
+test('validateDiscountEvent: dates that do not exist are rejected', () => {
+  const prices = { original_price: 3000, discount_price: 2000 };
+  assert.match(validate({ ...prices, discount_start: '2025-02-30' }).errors.discount_start, /ISO 8601/);
+  assert.match(validate({ ...prices, discount_end: '2025-04-31T10:00' }).errors.discount_end, /ISO 8601/);
+  assert.ok(validate({ ...prices, expiration_date: '2024-02-29' }).fields);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createFixtureGeocoder, withGeocodeCache, pickCandidate } = require('../geocoder');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'geocode.json');
+
+test('pickCandidate: no candidates', () => {
+  assert.deepEqual(pickCandidate([]), {});
+  assert.deepEqual(pickCandidate(undefined), {});
+});
+
+test('pickCandidate: a single candidate is picked without an index', () => {
+  const only = { label: 'a' };
+  assert.deepEqual(pickCandidate([only]), { candidate: only });
+});
+
+test('pickCandidate: several candidates need a valid candidate_index', () => {
+  const candidates = [{ label: 'a' }, { label: 'b' }];
+  assert.deepEqual(pickCandidate(candidates), { candidates });
+  assert.deepEqual(pickCandidate(candidates, '1'), { candidate: candidates[1] });
+  assert.deepEqual(pickCandidate(candidates, 0), { candidate: candidates[0] });
+  assert.deepEqual(pickCandidate(candidates, 2), { candidates });
+  assert.deepEqual(pickCandidate(candidates, -1), { candidates });
+  assert.deepEqual(pickCandidate(candidates, 'x'), { candidates });
+});
+
+test('fixture geocoder matches addresses after normalizing whitespace', async () => {
+  const geocoder = createFixtureGeocoder({ fixtures: FIXTURES });
+  const found = await geocoder.geocode('  서울 용산구   이태원로 200 ');
+  assert.equal(found.length, 1);
+  assert.equal(found[0].siGunGu, '용산구');
+  assert.deepEqual(await geocoder.geocode('nowhere'), []);
+});
+
+test('fixture geocoder + pickCandidate: an ambiguous address lists its candidates', async () => {
+  const geocoder = createFixtureGeocoder({ fixtures: FIXTURES });
+  const picked = pickCandidate(await geocoder.geocode('중앙로 1'));
+  assert.equal(picked.candidates.length, 2);
+});
+
+test('withGeocodeCache stores hits, not misses, and serves repeats from the cache', async () => {
+  const cache = new Map();
+  const client = {
+    async query(sql, values) {
+      if (sql.startsWith('SELECT')) {
+        return { rows: cache.has(values[0]) ? [{ candidates: JSON.parse(cache.get(values[0])) }] : [] };
+      }
+      cache.set(values[0], values[1]);
+      return { rows: [] };
+    }
+  };
+  let calls = 0;
+  const provider = {
+    name: 'counting',
+    async geocode(address) {
+      calls++;
+      return address === 'hit' ? [{ label: 'hit' }] : [];
+    }
+  };
+
+  const geocoder = withGeocodeCache(provider, client);
+  assert.deepEqual(await geocoder.geocode('hit'), [{ label: 'hit' }]);
+  assert.deepEqual(await geocoder.geocode(' hit '), [{ label: 'hit' }]);
+  assert.deepEqual(await geocoder.geocode('miss'), []);
+  assert.deepEqual(await geocoder.geocode('miss'), []);
+  assert.equal(calls, 3);
+  assert.deepEqual([...cache.keys()], ['hit']);
+});
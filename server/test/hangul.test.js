@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compact, toChosung, romanize, conventionalSpelling, isChosungQuery } = require('../hangul');
+
+test('compact drops case, whitespace and punctuation', () => {
+  assert.equal(compact(' E-Mart  24! '), 'emart24');
+});
+
+test('toChosung keeps non-Hangul characters', () => {
+  assert.equal(toChosung('이마트 24'), 'ㅇㅁㅌ24');
+  assert.equal(toChosung('GS25 편의점'), 'gs25ㅍㅇㅈ');
+});
+
+test('romanize is letter by letter', () => {
+  assert.equal(romanize('이마트 24'), 'imateu24');
+  assert.equal(romanize('신라'), 'sinra');
+});
+
+test('conventionalSpelling uses the usual spelling of known words', () => {
+  assert.equal(conventionalSpelling('이마트'), 'emart');
+  assert.equal(conventionalSpelling('롯데마트 잠실점'), 'lottemartjamsiljeom');
+  assert.equal(conventionalSpelling('홈플러스 익스프레스'), 'homeplusexpress');
+});
+
+test('isChosungQuery', () => {
+  assert.equal(isChosungQuery('ㅇㅁ ㅌ'), true);
+  assert.equal(isChosungQuery('ㅇ마'), false);
+  assert.equal(isChosungQuery('  '), false);
+});
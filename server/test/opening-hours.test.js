@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSchedule, parseStoreHours } = require('../opening-hours');
+
+// "mon 09:00-18:00" strings per weekday, for compact assertions
+function summarize(schedule) {
+  return schedule.weekly.map((w) => `${w.day} ${w.opens}-${w.closes}`);
+}
+
+test('parseStoreHours: a time range without days applies to every day', () => {
+  assert.equal(summarize(parseStoreHours('10:00~22:00')).length, 7);
+  assert.deepEqual(summarize(parseStoreHours('24시간'))[0], 'sun 00:00-00:00');
+});
+
+test('parseStoreHours: day ranges and closed days', () => {
+  assert.deepEqual(summarize(parseStoreHours('월-금 09:00~21:00, 토 10:00~18:00, 일 휴무')), [
+    'mon 09:00-21:00', 'tue 09:00-21:00', 'wed 09:00-21:00', 'thu 09:00-21:00', 'fri 09:00-21:00',
+    'sat 10:00-18:00'
+  ]);
+  assert.equal(summarize(parseStoreHours('Mon-Fri 9:00-21:00; Sat-Sun closed')).length, 5);
+});
+
+test('parseStoreHours: 평일 is Mon-Fri and 주말 is Sat-Sun', () => {
+  assert.deepEqual(summarize(parseStoreHours('평일 09:00-18:00, 주말 10:00-17:00')), [
+    'sun 10:00-17:00',
+    'mon 09:00-18:00', 'tue 09:00-18:00', 'wed 09:00-18:00', 'thu 09:00-18:00', 'fri 09:00-18:00',
+    'sat 10:00-17:00'
+  ]);
+  assert.equal(summarize(parseStoreHours('Weekdays 9:00-18:00, weekends closed')).length, 5);
+});
+
+test('parseStoreHours: day lists, including one split across segments', () => {
+  const expected = ['mon 10:00-20:00', 'tue 10:00-20:00', 'wed 10:00-20:00', 'thu 10:00-20:00', 'fri 10:00-20:00'];
+  assert.deepEqual(summarize(parseStoreHours('평일 10:00-20:00, 토,일 휴무')), expected);
+  assert.deepEqual(summarize(parseStoreHours('토·일 휴무, 평일 10:00-20:00')), expected);
+});
+
+test('parseStoreHours: breaks apply to the shifts', () => {
+  const parsed = parseStoreHours('매일 11:00-22:00 (브레이크타임 15:00-17:00)');
+  assert.equal(parsed.weekly.length, 7);
+  assert.deepEqual(parsed.weekly[0].breaks, [{ start: '15:00', end: '17:00' }]);
+});
+
+test('parseStoreHours: refuses to guess days the text leaves out', () => {
+  assert.equal(parseStoreHours('평일 10:00-20:00'), null);
+  assert.equal(parseStoreHours('월-금 09:00~21:00'), null);
+  assert.equal(parseStoreHours('토,일 휴무'), null);
+});
+
+test('parseStoreHours: malformed text is unparsed', () => {
+  assert.equal(parseStoreHours(''), null);
+  assert.equal(parseStoreHours('평일-일 10:00-20:00'), null);
+  assert.equal(parseStoreHours('토, 10:00-18:00'), null);
+  assert.equal(parseStoreHours('문의 바랍니다'), null);
+});
+
+test('normalizeSchedule: splits breaks and overnight shifts into storage rows', () => {
+  const { intervals, errors } = normalizeSchedule({
+    weekly: [
+      { day: 'mon', opens: '11:00', closes: '22:00', breaks: [{ start: '15:00', end: '17:00' }] },
+      { day: 'sat', opens: '22:00', closes: '02:00', breaks: [{ start: '00:00', end: '00:30' }] }
+    ]
+  });
+  assert.equal(errors, undefined);
+  assert.deepEqual(intervals, [
+    { weekday: 1, opens: '11:00', closes: '15:00' },
+    { weekday: 1, opens: '17:00', closes: '22:00' },
+    { weekday: 6, opens: '22:00', closes: '00:00' },
+    { weekday: 0, opens: '00:30', closes: '02:00' }
+  ]);
+});
+
+test('normalizeSchedule: rejects breaks that are not a list', () => {
+  const { errors } = normalizeSchedule({ weekly: [{ day: 'mon', opens: '10:00', closes: '20:00', breaks: '15:00-16:00' }] });
+  assert.deepEqual(errors, ['weekly[0].breaks must be an array']);
+});
+
+test('normalizeSchedule: rejects exception dates that do not exist', () => {
+  const { errors } = normalizeSchedule({
+    exceptions: [
+      { date: '2025-02-30', closed: true },
+      { date: '2025-13-01', closed: true },
+      { date: '2024-02-29', closed: true }
+    ]
+  });
+  assert.deepEqual(errors, [
+    'exceptions[0].date must be a real date as YYYY-MM-DD',
+    'exceptions[1].date must be a real date as YYYY-MM-DD'
+  ]);
+});
+
+test('normalizeSchedule: a break that starts before opening only trims the start of the shift', () => {
+  const { intervals, errors } = normalizeSchedule({
+    weekly: [{ day: 'mon', opens: '11:00', closes: '22:00', breaks: [{ start: '10:30', end: '11:30' }] }]
+  });
+  assert.equal(errors, undefined);
+  assert.deepEqual(intervals, [{ weekday: 1, opens: '11:30', closes: '22:00' }]);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { POST_SORTS, parseRanking } = require('../ranking');
+
+test('parseRanking: defaults come from the sort', () => {
+  const hot = parseRanking({}, 'hot');
+  assert.equal(hot.sort, 'hot');
+  assert.equal(hot.window, 'week');
+  assert.equal(hot.score, POST_SORTS.hot.score);
+  assert.equal(hot.windowSql, "p.created_at >= NOW() - INTERVAL '7 days'");
+  assert.equal(parseRanking({ sort: 'top' }, 'hot').window, 'day');
+});
+
+test('parseRanking: window=all has no time condition', () => {
+  assert.equal(parseRanking({ sort: 'new', window: 'all' }, 'hot').windowSql, null);
+  assert.equal(parseRanking({ sort: 'rising', window: 'month' }, 'hot').windowSql,
+    "p.created_at >= NOW() - INTERVAL '30 days'");
+});
+
+test('parseRanking: unknown sorts and windows are errors, prototype keys included', () => {
+  assert.match(parseRanking({ sort: 'best' }, 'hot').error, /^sort must be one of: new, hot, top, controversial, rising$/);
+  assert.match(parseRanking({ sort: 'toString' }, 'hot').error, /^sort must be one of/);
+  assert.match(parseRanking({ window: 'year' }, 'hot').error, /^window must be one of: day, week, month, all$/);
+  assert.match(parseRanking({ window: 'constructor' }, 'hot').error, /^window must be one of/);
+});
+
+test('every sort orders by its score with a stable tie-break', () => {
+  for (const sort of Object.keys(POST_SORTS)) {
+    assert.equal(parseRanking({ sort }, 'hot').orderBy, 'score DESC, p.created_at DESC, p.id DESC');
+  }
+});
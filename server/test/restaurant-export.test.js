@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toGeoJSON, toKml, toCsv, negotiateFormat } = require('../restaurant-export');
+
+const ROW = { id: 3, name: 'Tom & Jerry\'s <Kebab>', full_address: '서울 "용산구"', tags: ['halal'], lon: '126.99', lat: '37.53' };
+
+test('toGeoJSON: one point feature per row, coordinates as numbers', () => {
+  assert.deepEqual(toGeoJSON([ROW]), {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      id: 3,
+      geometry: { type: 'Point', coordinates: [126.99, 37.53] },
+      properties: { id: 3, name: ROW.name, full_address: ROW.full_address, tags: ['halal'] }
+    }]
+  });
+});
+
+test('toKml escapes names, addresses and data values', () => {
+  const kml = toKml([ROW]);
+  assert.match(kml, /<name>Tom &amp; Jerry&apos;s &lt;Kebab&gt;<\/name>/);
+  assert.match(kml, /<address>서울 &quot;용산구&quot;<\/address>/);
+  assert.match(kml, /<Data name="tags"><value>\[&quot;halal&quot;\]<\/value><\/Data>/);
+  assert.match(kml, /<coordinates>126.99,37.53<\/coordinates>/);
+  assert.doesNotMatch(kml, /<Kebab>/);
+});
+
+test('toCsv keeps lon/lat as columns', () => {
+  assert.equal(toCsv([{ id: 1, lon: 1, lat: 2 }]), 'id,lon,lat\r\n1,1,2\r\n');
+});
+
+test('negotiateFormat: ?format= wins, then the Accept header, then json', () => {
+  const req = (query, accepted) => ({ query, accepts: () => accepted });
+  assert.equal(negotiateFormat(req({ format: 'kml' }, 'text/csv')), 'kml');
+  assert.equal(negotiateFormat(req({ format: 'xml' }, false)), null);
+  assert.equal(negotiateFormat(req({ format: 'toString' }, false)), null);
+  assert.equal(negotiateFormat(req({}, 'application/geo+json')), 'geojson');
+  assert.equal(negotiateFormat(req({}, false)), 'json');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBoolField, importRestaurants } = require('../restaurant-import');
+
+const PLACE = { label: '서울 용산구 이태원로 200', lon: 126.994, lat: 37.534 };
+
+// In-memory restaurants; findDuplicates matches on the exact name, which is all these tests need
+function fakeClient({ failInsert = false } = {}) {
+  const restaurants = [];
+  return {
+    restaurants,
+    async query(sql, values) {
+      if (sql.includes('FROM tags')) return { rows: [{ slug: 'halal' }] };
+      if (sql.includes('ST_DWithin')) {
+        return { rows: restaurants.filter((r) => r.name === values[0]).map((r) => ({ id: r.id, distance_m: 0 })) };
+      }
+      if (sql.trim().startsWith('INSERT INTO restaurants')) {
+        if (failInsert) throw new Error('connection terminated');
+        await new Promise((resolve) => setImmediate(resolve));
+        restaurants.push({ id: restaurants.length + 1, name: values[0] });
+        return { rows: [{ id: restaurants.length }] };
+      }
+      return { rows: [{ id: 1 }] };
+    }
+  };
+}
+
+const geocoder = { async geocode() { return [PLACE]; } };
+
+test('parseBoolField: CSV spellings of booleans', () => {
+  assert.equal(parseBoolField('Yes'), true);
+  assert.equal(parseBoolField(''), false);
+  assert.equal(parseBoolField('maybe'), null);
+});
+
+test('importRestaurants: the same restaurant twice in a batch is one insert and one merge', async () => {
+  const client = fakeClient();
+  const rows = [{ name: 'Halal Kitchen', address: 'a' }, { name: 'Halal Kitchen', address: 'a' }];
+  const report = await importRestaurants(rows, { client, geocoder, concurrency: 2 });
+  assert.deepEqual(report.results.map((r) => r.status), ['inserted', 'updated']);
+  assert.equal(client.restaurants.length, 1);
+});
+
+test('importRestaurants: a dry run reports the same', async () => {
+  const client = fakeClient();
+  const rows = [{ name: 'Halal Kitchen', address: 'a' }, { name: 'Halal Kitchen', address: 'a' }];
+  const report = await importRestaurants(rows, { client, geocoder, dryRun: true, concurrency: 2 });
+  assert.deepEqual(report.results.map((r) => r.status), ['inserted', 'updated']);
+  assert.equal(report.results[1].same_as_row, 1);
+  assert.equal(client.restaurants.length, 0);
+});
+
+test('importRestaurants: database failures are errors, not bad rows', async () => {
+  const report = await importRestaurants([{ name: 'x', address: 'a' }, { address: 'a' }], {
+    client: fakeClient({ failInsert: true }),
+    geocoder
+  });
+  assert.deepEqual(report.results.map((r) => r.status), ['error', 'validation_failed']);
+  assert.equal(report.summary.error, 1);
+  assert.equal(report.results[0].error, 'connection terminated');
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  searchTokens,
+  queryTokens,
+  buildTsQuery,
+  positionedVector,
+  isSearchDate,
+  buildSnippet,
+  indexPost,
+  searchCommunity
+} = require('../search');
+
+test('searchTokens: Hangul as bigrams, other words whole and lower-cased', () => {
+  assert.deepEqual(searchTokens('KFC치킨 in 부산!', false), ['kfc', '치킨', 'in', '부산']);
+  assert.deepEqual(searchTokens('부산에서', false), ['부산', '산에', '에서']);
+  assert.deepEqual(searchTokens('닭', false), ['닭']);
+});
+
+test('searchTokens: indexing adds single syllables', () => {
+  assert.deepEqual(searchTokens('닭고기', true), ['닭고', '고기', '닭', '고', '기']);
+});
+
+test('queryTokens: particles, question words and one-character tokens are dropped', () => {
+  assert.deepEqual(queryTokens('부산에서 할랄'), ['부산', '할랄']);
+  assert.deepEqual(queryTokens('할랄 고기 어디서 사요?'), ['할랄', '고기']);
+  assert.deepEqual(queryTokens('부산의 KFC'), ['부산', 'kfc']);
+  assert.deepEqual(queryTokens("it's"), ['it']);
+  // Nothing else left: the short token or the question word is the query
+  assert.deepEqual(queryTokens('닭'), ['닭']);
+  assert.deepEqual(queryTokens('어디'), ['어디']);
+});
+
+test('buildTsQuery: every token by default, any token on request', () => {
+  assert.equal(buildTsQuery('부산에서 할랄'), "'부산' & '할랄'");
+  assert.equal(buildTsQuery('부산에서 할랄', 'any'), "'부산' | '할랄'");
+  assert.equal(buildTsQuery('?!'), null);
+});
+
+test('positionedVector: each token gets a position so setweight applies', () => {
+  assert.equal(positionedVector(['부산', '할랄']), "'부산':1 '할랄':2");
+  assert.equal(positionedVector([]), '');
+});
+
+test('indexPost: title weighted A, content B, both with positions', async () => {
+  const queries = [];
+  await indexPost({ async query(sql, values) { queries.push({ sql, values }); } },
+    { id: 7, title: '할랄 고기', content: '부산' });
+  assert.match(queries[0].sql, /setweight\(\$2::tsvector, 'A'\) \|\| setweight\(\$3::tsvector, 'B'\)/);
+  assert.equal(queries[0].values[1], "'할랄':1 '할':2 '랄':3 '고기':4 '고':5 '기':6");
+  assert.equal(queries[0].values[2], "'부산':1 '부':2 '산':3");
+});
+
+test('searchCommunity: falls back to any token only when no document has them all', async () => {
+  function fakeClient(matches) {
+    const calls = [];
+    return {
+      calls,
+      async query(sql, values) {
+        calls.push(values[0]);
+        const offset = values[values.length - 1];
+        return { rows: offset === 0 ? matches(values[0]) : [] };
+      }
+    };
+  }
+  const row = { type: 'post', id: 1, post_title: '할랄', body: '부산 할랄', rank: 0.5 };
+
+  const some = fakeClient((tsquery) => (tsquery.includes('&') ? [row] : []));
+  const found = await searchCommunity(some, '부산 할랄', {}, { limit: 10, offset: 0 });
+  assert.equal(found.match, 'all');
+  assert.equal(found.items.length, 1);
+  assert.deepEqual(some.calls, ["'부산' & '할랄'"]);
+
+  const none = fakeClient((tsquery) => (tsquery.includes('|') ? [row] : []));
+  const fallback = await searchCommunity(none, '부산 할랄', {}, { limit: 10, offset: 0 });
+  assert.equal(fallback.match, 'any');
+  assert.equal(fallback.items.length, 1);
+  assert.deepEqual(none.calls, ["'부산' & '할랄'", "'부산' | '할랄'"]);
+
+  // Past the last page of 'all' results: the end, not a switch to 'any'
+  some.calls.length = 0;
+  const ended = await searchCommunity(some, '부산 할랄', {}, { limit: 10, offset: 10 });
+  assert.equal(ended.match, 'all');
+  assert.deepEqual(ended.items, []);
+  assert.ok(some.calls.every((tsquery) => tsquery.includes('&')));
+});
+
+// Needs a Postgres to rank with (no PostGIS or tables required), e.g.
+//   SEARCH_TEST_DATABASE_URL=postgres://localhost/postgres npm test
+test('ts_rank: a title hit ranks above a body hit', {
+  skip: !process.env.SEARCH_TEST_DATABASE_URL && 'SEARCH_TEST_DATABASE_URL not set'
+}, async () => {
+  const { Client } = require('pg');
+  const db = new Client({ connectionString: process.env.SEARCH_TEST_DATABASE_URL });
+  await db.connect();
+  try {
+    await db.query('CREATE TEMP TABLE post_search (post_id INT PRIMARY KEY, document TSVECTOR NOT NULL)');
+    await indexPost(db, { id: 1, title: '부산 맛집 후기', content: '할랄 고기를 파는 곳이 있어요' });
+    await indexPost(db, { id: 2, title: '부산 할랄 식당', content: '맛집 후기입니다' });
+    const { rows } = await db.query(
+      'SELECT post_id FROM post_search ORDER BY ts_rank(document, $1::tsquery) DESC',
+      [buildTsQuery('할랄')]
+    );
+    assert.deepEqual(rows.map((r) => r.post_id), [2, 1]);
+  } finally {
+    await db.end();
+  }
+});
+
+test('isSearchDate: only real YYYY-MM-DD dates', () => {
+  assert.equal(isSearchDate('2024-02-29'), true);
+  assert.equal(isSearchDate('2023-02-29'), false);
+  assert.equal(isSearchDate('1'), false);
+  assert.equal(isSearchDate('2024-1-5'), false);
+  assert.equal(isSearchDate(['2024-01-01']), false);
+});
+
+test('buildSnippet: escapes HTML and marks the query words', () => {
+  assert.equal(buildSnippet('<b>부산의</b> 할랄 식당', '부산 할랄'), '&lt;b&gt;<mark>부산</mark>의&lt;/b&gt; <mark>할랄</mark> 식당');
+});
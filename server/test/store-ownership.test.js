@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canManageStore, authorizeStoreEdit } = require('../store-ownership');
+
+const USER = { userId: 7, role: 'user' };
+const OWNER = { userId: 3, role: 'user' };
+const MOD = { userId: 9, role: 'moderator' };
+
+// stores: id -> owner_id
+function fakeClient(stores) {
+  return {
+    async query(sql, [id]) {
+      return { rows: id in stores ? [{ owner_id: stores[id] }] : [] };
+    }
+  };
+}
+
+test('canManageStore: the owner or a mod/admin; nobody else, even without an owner', () => {
+  assert.equal(canManageStore(OWNER, 3), true);
+  assert.equal(canManageStore(USER, 3), false);
+  assert.equal(canManageStore(USER, null), false);
+  assert.equal(canManageStore(MOD, null), true);
+});
+
+test('authorizeStoreEdit: 403 for a regular user on an unowned or someone else\'s store', async () => {
+  const client = fakeClient({ 1: null, 2: 3 });
+  assert.equal((await authorizeStoreEdit(client, USER, 1)).status, 403);
+  assert.equal((await authorizeStoreEdit(client, USER, 2)).status, 403);
+  assert.equal((await authorizeStoreEdit(client, USER, 5)).status, 404);
+  assert.deepEqual(await authorizeStoreEdit(client, OWNER, 2), { ownerId: 3 });
+  assert.deepEqual(await authorizeStoreEdit(client, MOD, 1), { ownerId: null });
+});
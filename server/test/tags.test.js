@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tagsFromBody } = require('../tags');
+
+test('tagsFromBody: a body without tags or legacy fields leaves tags alone', () => {
+  assert.equal(tagsFromBody({ name: 'x' }), undefined);
+});
+
+test('tagsFromBody: legacy booleans add and remove tags, as booleans or strings', () => {
+  assert.deepEqual(tagsFromBody({ tags: 'halal', vegan: true }), ['halal', 'vegan']);
+  assert.deepEqual(tagsFromBody({ tags: 'halal', vegan: 'true' }), ['halal', 'vegan']);
+  assert.deepEqual(tagsFromBody({ tags: ['halal', 'vegan'], vegan: 'false' }), ['halal']);
+  assert.deepEqual(tagsFromBody({ tags: ['halal', 'vegan'], vegan: false }), ['halal']);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVote, castVote } = require('../votes');
+
+// Stands in for Postgres: applies castVote's statement to in-memory vote rows and counters
+function fakeClient() {
+  const votes = new Map(); // "table:user:target" -> vote_type
+  const counters = new Map(); // "table:target" -> { upvotes, downvotes }
+  const queries = [];
+
+  return {
+    queries,
+    async query(sql, values) {
+      const table = /UPDATE (\w+) t/.exec(sql) || /FROM (\w+) t\b/.exec(sql);
+      const votesTable = /FROM (\w+_votes)/.exec(sql)[1];
+      queries.push({ table: table[1], votesTable });
+
+      if (sql.includes('WITH prev')) {
+        const [userId, targetId, vote] = values;
+        const key = `${votesTable}:${userId}:${targetId}`;
+        const old = votes.get(key) || 0;
+        if (vote === 0) votes.delete(key); else votes.set(key, vote);
+        const count = counters.get(`${table[1]}:${targetId}`) || { upvotes: 0, downvotes: 0 };
+        count.upvotes += (vote === 1) - (old === 1);
+        count.downvotes += (vote === -1) - (old === -1);
+        counters.set(`${table[1]}:${targetId}`, count);
+        return { rows: [] };
+      }
+
+      const [targetId, userId] = values;
+      const count = counters.get(`${table[1]}:${targetId}`) || { upvotes: 0, downvotes: 0 };
+      return { rows: [{ ...count, my_vote: votes.get(`${votesTable}:${userId}:${targetId}`) || 0 }] };
+    }
+  };
+}
+
+test('parseVote accepts +1, -1 and 0 as numbers or strings', () => {
+  assert.equal(parseVote(1), 1);
+  assert.equal(parseVote('-1'), -1);
+  assert.equal(parseVote('0'), 0);
+  assert.equal(parseVote(''), null);
+  assert.equal(parseVote(2), null);
+  assert.equal(parseVote(true), null);
+  assert.equal(parseVote(null), null);
+});
+
+test('castVote: vote, switch sides, repeat and clear', async () => {
+  const client = fakeClient();
+  assert.deepEqual(await castVote(client, 'post', 7, 1, 1), { upvotes: 1, downvotes: 0, my_vote: 1 });
+  assert.deepEqual(await castVote(client, 'post', 8, 1, 1), { upvotes: 2, downvotes: 0, my_vote: 1 });
+  assert.deepEqual(await castVote(client, 'post', 7, 1, -1), { upvotes: 1, downvotes: 1, my_vote: -1 });
+  assert.deepEqual(await castVote(client, 'post', 7, 1, -1), { upvotes: 1, downvotes: 1, my_vote: -1 });
+  assert.deepEqual(await castVote(client, 'post', 7, 1, 0), { upvotes: 1, downvotes: 0, my_vote: 0 });
+});
+
+test('castVote: one statement for the change, then the counts', async () => {
+  const client = fakeClient();
+  await castVote(client, 'comment', 7, 3, 1);
+  assert.deepEqual(client.queries, [
+    { table: 'comments', votesTable: 'comment_votes' },
+    { table: 'comments', votesTable: 'comment_votes' }
+  ]);
+});
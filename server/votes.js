@@ -0,0 +1,98 @@
+// Up/down votes on posts and comments.
+//
+// One row per (user, target) in the votes table, and upvotes/downvotes counters on the target:
+//   post_votes    (user_id, post_id, vote_type)     -- PRIMARY KEY (user_id, post_id)
+//   comment_votes (user_id, comment_id, vote_type)  -- PRIMARY KEY (user_id, comment_id), see comment-tree.js
+//
+// castVote changes the vote row and the counters in a single statement, so it needs no
+// BEGIN/COMMIT on the shared client and concurrent voters can't overwrite each other's counts:
+// counters move by a delta computed from the vote row it replaced, which is locked (FOR UPDATE)
+// so a second request from the same user sees the first one's result.
+
+const VOTE_TARGETS = {
+  post: { table: 'posts', votesTable: 'post_votes', column: 'post_id' },
+  comment: { table: 'comments', votesTable: 'comment_votes', column: 'comment_id' }
+};
+
+// +1, -1 or 0 (clear); returns null for anything else
+function parseVote(val) {
+  if (typeof val !== 'number' && (typeof val !== 'string' || val.trim() === '')) return null;
+  const vote = Number(val);
+  return [1, -1, 0].includes(vote) ? vote : null;
+}
+
+// The caller's vote on each row, for SELECTs over the target table (0 when anonymous or not voted).
+// userParam is the placeholder holding the user id, e.g. '$2'.
+function myVoteSql(target, alias, userParam) {
+  const { votesTable, column } = VOTE_TARGETS[target];
+  return `COALESCE((
+    SELECT mv.vote_type FROM ${votesTable} mv
+    WHERE mv.${column} = ${alias}.id AND mv.user_id = ${userParam}
+  ), 0)`;
+}
+
+// Set the user's vote on a target to +1, -1 or 0.
+// Resolves to { upvotes, downvotes, my_vote } after the change.
+// The caller checks that the target exists.
+async function castVote(client, target, userId, targetId, vote) {
+  const { table, votesTable, column } = VOTE_TARGETS[target];
+
+  // A) prev:     the current vote row, locked
+  //    inserted: first vote (a racing first vote from the same user wins and this one is dropped)
+  //    updated:  switched sides
+  //    removed:  cleared
+  // B) move the counters by the one change that happened, if any
+  const voteSql = `
+    WITH prev AS (
+      SELECT vote_type FROM ${votesTable}
+      WHERE user_id = $1 AND ${column} = $2
+      FOR UPDATE
+    ),
+    inserted AS (
+      INSERT INTO ${votesTable} (user_id, ${column}, vote_type)
+      SELECT $1, $2, $3::int
+      WHERE $3::int <> 0 AND NOT EXISTS (SELECT 1 FROM prev)
+      ON CONFLICT (user_id, ${column}) DO NOTHING
+      RETURNING 0 AS old_vote, vote_type AS new_vote
+    ),
+    updated AS (
+      UPDATE ${votesTable} v
+      SET vote_type = $3::int
+      FROM prev
+      WHERE v.user_id = $1 AND v.${column} = $2 AND $3::int <> 0 AND prev.vote_type <> $3::int
+      RETURNING prev.vote_type AS old_vote, v.vote_type AS new_vote
+    ),
+    removed AS (
+      DELETE FROM ${votesTable} v
+      USING prev
+      WHERE v.user_id = $1 AND v.${column} = $2 AND $3::int = 0
+      RETURNING prev.vote_type AS old_vote, 0 AS new_vote
+    ),
+    change AS (
+      SELECT * FROM inserted
+      UNION ALL SELECT * FROM updated
+      UNION ALL SELECT * FROM removed
+    )
+    UPDATE ${table} t
+    SET upvotes = t.upvotes + (change.new_vote = 1)::int - (change.old_vote = 1)::int,
+        downvotes = t.downvotes + (change.new_vote = -1)::int - (change.old_vote = -1)::int
+    FROM change
+    WHERE t.id = $2
+  `;
+  await client.query(voteSql, [userId, targetId, vote]);
+
+  const resultSql = `
+    SELECT t.upvotes, t.downvotes, ${myVoteSql(target, 't', '$2')} AS my_vote
+    FROM ${table} t
+    WHERE t.id = $1
+  `;
+  const { rows } = await client.query(resultSql, [targetId, userId]);
+  return rows[0];
+}
+
+module.exports = {
+  VOTE_TARGETS,
+  parseVote,
+  myVoteSql,
+  castVote
+};